@@ -1,284 +1,348 @@
 #!/usr/bin/env node
 
-const { program } = require("commander");
-const puppeteer = require("puppeteer");
 const fs = require("fs").promises;
+const { program } = require("commander");
+const {
+  DEFAULT_IDENTITIES,
+  launchBrowser,
+  newPage,
+  parseIdentities,
+} = require("./lib/browser");
+const { normalizeTransactions } = require("./lib/normalize");
+const { FORMATS, resolveOutput, writeExport } = require("./lib/exporters");
+const { DEFAULT_DB_FILE, TransactionStore } = require("./lib/store");
+const { createPageFilter, loadKnownKeys } = require("./lib/incremental");
+const { extractListing } = require("./lib/listing");
+const { WebCrawler } = require("./lib/web-crawler");
+const { loadSchema } = require("./lib/schemas");
+const { adapterTags, findAdapter, getAdapter } = require("./lib/adapters");
+const {
+  DEFAULT_OUTLIER_THRESHOLD,
+  analyzeSources,
+  extractSources,
+  loadPayload,
+} = require("./lib/analytics");
+const {
+  buildDiscovery,
+  discoverListings,
+  parseUrlList,
+  writeUrlList,
+} = require("./lib/discover");
+const {
+  DEFAULT_PSF_THRESHOLD,
+  describeChange,
+  detectChanges,
+  resultsByUrl,
+} = require("./lib/changes");
+const { WebhookDispatcher, WebhookStore } = require("./lib/webhooks");
+const { FastCrawler } = require("./lib/fast-crawler");
+const { EXTRACTION_MODES } = require("./lib/network-capture");
+const {
+  DEFAULT_SNAPSHOT_DIR,
+  SnapshotArchive,
+  readSnapshots,
+} = require("./lib/snapshots");
+const { reextract } = require("./lib/reextract");
+const { ArtifactStore, DEFAULT_ARTIFACTS_ROOT } = require("./lib/artifacts");
+const {
+  DEFAULT_MIN_FILL_RATE,
+  checkHealth,
+  summarizeHealth,
+} = require("./lib/health");
+const { ProgressDisplay } = require("./lib/progress-display");
+const { SessionStore } = require("./lib/sessions");
+const { summarizeFailures } = require("./lib/errors");
+const { createId } = require("./lib/ids");
+const {
+  DEFAULT_PROFILE,
+  PROFILE_NAMES,
+  getProfile,
+  summarizeTimings,
+} = require("./lib/profiles");
+const {
+  ROTATION_SCOPES,
+  ProxyPool,
+  parseProxyList,
+} = require("./lib/proxies");
+
+// The health report as printed at the end of a crawl
+function printHealth(health) {
+  const rates = Object.entries(health.fillRates)
+    .filter(([, rate]) => rate !== null)
+    .map(([field, rate]) => `${field} ${Math.round(rate * 100)}%`);
+
+  if (health.status === "ok") {
+    console.log(`\nHealth: ok (${health.transactions} transaction(s) checked)`);
+  } else {
+    console.log("\n⚠️  Health: degraded, the page layout may have changed");
+    health.issues.forEach((issue) => console.log(`  - ${issue}`));
+  }
+  if (rates.length > 0) {
+    console.log(`Fill rates: ${rates.join(", ")}`);
+  }
+}
 
-async function crawlPriceHistory(
-  url,
-  outputFile = "output.json",
-  headless = true
-) {
-  let browser;
+function seconds(ms) {
+  return ms === null ? "n/a" : `${(ms / 1000).toFixed(1)}s`;
+}
 
-  try {
-    console.log(`Starting browser...`);
-    browser = await puppeteer.launch({
-      headless: headless,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-blink-features=AutomationControlled",
-      ],
-    });
+function printTimings(timings) {
+  const perPage =
+    timings.pages.length > 0
+      ? timings.pages.reduce((sum, ms) => sum + ms, 0) / timings.pages.length
+      : null;
+  console.log(
+    `Timings: navigation ${seconds(timings.navigation)}, table ready ${seconds(timings.tableReady)}, ${timings.pages.length} page(s) at ${seconds(perPage)} each, ${seconds(timings.total)} in total`
+  );
+}
+
+async function readProxies(file) {
+  return parseProxyList(await fs.readFile(file, "utf-8"));
+}
 
-    const page = await browser.newPage();
+// `--user-agents` alone rotates through the built-in list
+async function readIdentities(option) {
+  return typeof option === "string"
+    ? parseIdentities(await fs.readFile(option, "utf-8"))
+    : DEFAULT_IDENTITIES;
+}
+
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
 
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+function printProxyUsage(usage) {
+  if (usage.proxies.length === 0 && usage.blockedAttempts === 0) return;
+
+  const retired = usage.proxies.filter((entry) => entry.retired).length;
+  console.log(
+    `Blocked attempts: ${usage.blockedAttempts}` +
+      (usage.proxies.length > 0
+        ? `, ${usage.proxies.length} proxies (${retired} retired)`
+        : "")
+  );
+  usage.proxies.forEach((entry) => {
+    console.log(
+      `  ${entry.proxy}: ${entry.requests} request(s), ${entry.successes} ok, ${entry.blocks} blocked${
+        entry.retired ? ` (retired until ${entry.retiredUntil})` : ""
+      }`
     );
+  });
+}
 
-    await page.evaluateOnNewDocument(() => {
-      Object.defineProperty(navigator, "webdriver", {
-        get: () => false,
-      });
-    });
+async function crawlPriceHistory(
+  url,
+  outputFile = "output.json",
+  headless = true,
+  options = {}
+) {
+  let crawler;
+  let store;
 
-    console.log(`Navigating to ${url}...`);
-    await page.goto(url, { waitUntil: "networkidle2", timeout: 60000 });
+  try {
+    const adapter = getAdapter(url);
+    console.log(`Using the ${adapter.name} adapter`);
 
-    console.log(`Waiting for price history table to load...`);
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await new Promise((resolve) => setTimeout(resolve, 3000));
+    if (options.store || options.incremental === true) {
+      store = new TransactionStore(
+        typeof options.store === "string" ? options.store : undefined
+      );
+    }
 
-    // Wait for table to be present
-    try {
-      await page.waitForSelector(".price-history-table-root", {
-        timeout: 10000,
+    let knownKeys = null;
+    if (options.incremental) {
+      const fromFile = typeof options.incremental === "string";
+      knownKeys = await loadKnownKeys(url, {
+        file: fromFile ? options.incremental : null,
+        store: fromFile ? null : store,
       });
-      console.log(`Price history table found`);
-    } catch (err) {
-      console.log(`Price history table not found, exiting...`);
-      return;
+      console.log(`Loaded ${knownKeys.size} known transaction(s)`);
     }
-
-    // Remove any applied filters
-    console.log(`Checking for active filters...`);
-    const filterRemoved = await page.evaluate(() => {
-      const removeButtons = document.querySelectorAll(
-        '[da-id="filter-chip-remove-btn"]'
-      );
-      if (removeButtons.length > 0) {
-        removeButtons.forEach((btn) => btn.click());
-        return true;
-      }
-      return false;
+    const pageFilter = createPageFilter({ since: options.since, knownKeys });
+
+    const profile = getProfile(options.profile);
+    const proxy = options.proxies
+      ? pickRandom(await readProxies(options.proxies))
+      : null;
+    const identity = options.userAgents
+      ? pickRandom(await readIdentities(options.userAgents))
+      : null;
+    console.log(`Starting browser (${profile.name} profile)...`);
+    if (proxy) {
+      console.log(`Using proxy ${proxy.id}`);
+    }
+    crawler = new WebCrawler({
+      headless,
+      timeout: 60000,
+      waitForSelector: 3000,
+      profile,
+      assetHosts: adapter.assetHosts,
+      proxy,
+      identity,
     });
 
-    if (filterRemoved) {
-      console.log(
-        `Removed ${filterRemoved} filter(s), waiting for table to update...`
+    let listing = null;
+    // Rendered pages kept for `reextract`
+    let snapshots = null;
+    let snapshot = null;
+    if (options.archive) {
+      const archive = new SnapshotArchive(
+        typeof options.archive === "string" ? options.archive : undefined
       );
-      await new Promise((resolve) => setTimeout(resolve, 3000));
-      await page.waitForNetworkIdle({ timeout: 5000 }).catch(() => {});
-    }
-
-    console.log(`Starting to scrape...`);
-
-    // Wait for table rows to appear
-    try {
-      await page.waitForSelector(".table-row-collapsed", { timeout: 10000 });
-    } catch (err) {
-      console.log(`No table rows found. The table might be empty.`);
-      return;
+      snapshots = archive.startCrawl(url, { adapter: adapter.id });
+      snapshot = (page, pageNumber) =>
+        archive.save(snapshots, pageNumber, page);
     }
 
-    let allTransactions = [];
-    let currentPage = 1;
-    let hasNextPage = true;
-
-    while (hasNextPage) {
-      console.log(`\nScraping page ${currentPage}...`);
-
-      // Wait for table rows to be present
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Expand all rows to get full details
-      await page.evaluate(() => {
-        const collapseIcons = document.querySelectorAll(
-          '[da-id="collapse-icon"]'
-        );
-        collapseIcons.forEach((icon) => {
-          if (
-            icon &&
-            !icon
-              .closest("tr")
-              ?.nextElementSibling?.querySelector(".expanded-content.show")
-          ) {
-            icon.click();
-          }
+    const crawled = await crawler.crawlWithPagination(url, adapter.schema, {
+      capture: options.extraction !== "dom",
+      areaUnit: adapter.areaUnit,
+      hosts: adapter.hosts,
+      snapshot,
+      navigate: async (page) => {
+        await adapter.navigate(page, url, {
+          timeout: 60000,
+          waitUntil: profile.waitUntil,
         });
-      });
-
-      // Wait for expansions to complete
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Extract data from current page
-      const pageData = await page.evaluate(() => {
-        const rows = document.querySelectorAll(".table-row-collapsed");
-        const transactions = [];
-
-        rows.forEach((row) => {
-          const transaction = {};
-
-          // Extract date
-          const dateCell = row.querySelector('[da-id="row-date"]');
-          if (dateCell) {
-            transaction.date = dateCell
-              .querySelector(".field-value")
-              ?.textContent?.trim();
-          }
-
-          // Extract bedroom and size
-          const bedroomCell = row.querySelector('[da-id="row-bedroom"]');
-          if (bedroomCell) {
-            const mainText = bedroomCell
-              .querySelector(".main-text")
-              ?.textContent?.trim();
-            const subText = bedroomCell
-              .querySelector(".sub-text")
-              ?.textContent?.trim();
-            transaction.bedrooms = mainText;
-            transaction.size = subText;
-          }
-
-          // Extract price and price per sqft
-          const priceCell = row.querySelector('[da-id="row-price"]');
-          if (priceCell) {
-            const mainText = priceCell
-              .querySelector(".main-text")
-              ?.textContent?.trim();
-            const subText = priceCell
-              .querySelector(".sub-text")
-              ?.textContent?.trim();
-            transaction.price = mainText;
-            transaction.pricePerSqft = subText;
-          }
-
-          // Extract floor level
-          const floorCell = row.querySelector('[da-id="row-floorLevel"]');
-          if (floorCell) {
-            transaction.floorLevel = floorCell
-              .querySelector(".field-value")
-              ?.textContent?.trim();
-          }
-
-          // Extract completed status
-          const completedCell = row.querySelector('[da-id="row-completed"]');
-          if (completedCell) {
-            transaction.buildStatus = completedCell
-              .querySelector(".field-value")
-              ?.textContent?.trim();
-          }
+        await adapter.waitUntilReady(page, { wait: profile.readyWait });
+      },
+      onLoad: async (page) => {
+        if (options.listing) {
+          console.log(`Extracting listing details...`);
+          listing = await extractListing(page, url, {
+            currency: adapter.currency,
+          });
+        }
+        console.log(`Waiting for price history table to load...`);
+      },
+      onPage: (transactions) => {
+        const pageResult = pageFilter.filterPage(transactions);
+        if (pageResult.stop) {
+          console.log(`\nStopping early: ${pageFilter.stats.stopReason}`);
+        }
+        return { rows: pageResult.transactions, stop: pageResult.stop };
+      },
+    });
 
-          // Try to extract expanded details (lease and address)
-          const expandedRow = row.nextElementSibling;
-          if (
-            expandedRow &&
-            expandedRow.classList.contains("table-row-expanded")
-          ) {
-            const leaseItem = expandedRow.querySelector(
-              '[da-id="expanded-lease"]'
-            );
-            if (leaseItem) {
-              transaction.lease = leaseItem
-                .querySelector(".expanded-item-value")
-                ?.textContent?.trim();
-            }
-
-            const addressItem = expandedRow.querySelector(
-              '[da-id="expanded-address"]'
-            );
-            if (addressItem) {
-              const address = addressItem
-                .querySelector(".expanded-item-value")
-                ?.textContent?.trim();
-              transaction.address = address;
-
-              // Extract floor number from address (e.g., "#03-**" -> "3")
-              if (address) {
-                const floorMatch = address.match(/#(\d+)-/);
-                if (floorMatch) {
-                  transaction.floor = floorMatch[1];
-                }
-              }
-            }
-          }
+    const health = checkHealth(crawled.data, {
+      pageRows: crawled.pageRows,
+      minFillRate: options.minFillRate,
+    });
 
-          transactions.push(transaction);
-        });
+    if (!crawled.found || crawled.pages === 0) {
+      const reason = crawled.found
+        ? "No table rows found (the table might be empty)"
+        : "Price history table not found";
+      if (!listing) {
+        console.log(`${reason}, exiting...`);
+        if (crawled.found) printHealth(health);
+        return;
+      }
+      console.log(`${reason}, saving listing only...`);
+    }
 
-        return transactions;
-      });
+    const allTransactions = crawled.data;
+    const currentPage = crawled.pages;
 
+    console.log(`\nTotal transactions scraped: ${allTransactions.length}`);
+    if (crawled.extraction && crawled.extraction.method) {
+      const { method, networkPages, domPages } = crawled.extraction;
       console.log(
-        `Found ${pageData.length} transactions on page ${currentPage}`
+        `Read from: ${method} (${networkPages} page(s) from network responses, ${domPages} from the page)`
       );
-      allTransactions = allTransactions.concat(pageData);
-
-      // Check if there's a next page and if it's enabled
-      const nextButtonStatus = await page.evaluate(() => {
-        const nextButton = document.querySelector(
-          '[da-id="hui-pagination-btn-next"]'
-        );
-        if (!nextButton) return { exists: false, enabled: false };
-
-        const parentLi = nextButton.closest("li");
-        const isDisabled = parentLi && parentLi.classList.contains("disabled");
-
-        return {
-          exists: true,
-          enabled: !isDisabled,
-        };
-      });
-
-      if (!nextButtonStatus.exists || !nextButtonStatus.enabled) {
-        console.log(`\nNo more pages to scrape (reached last page)`);
-        hasNextPage = false;
-      } else {
-        console.log(`Navigating to next page...`);
-
-        try {
-          // Click the next button
-          await page.click('[da-id="hui-pagination-btn-next"]');
-
-          // Wait for the page to update
-          await new Promise((resolve) => setTimeout(resolve, 3000));
-
-          // Wait for network to be idle
-          await page.waitForNetworkIdle({ timeout: 5000 }).catch(() => {
-            console.log("Network idle timeout, continuing...");
-          });
-
-          currentPage++;
-        } catch (error) {
-          console.error(`Error clicking next page: ${error.message}`);
-          hasNextPage = false;
-        }
-      }
     }
 
-    console.log(`\nTotal transactions scraped: ${allTransactions.length}`);
+    const warningCount = allTransactions.filter(
+      (item) => item.warnings.length > 0
+    ).length;
+    if (warningCount > 0) {
+      console.log(`${warningCount} transaction(s) had parse warnings`);
+    }
 
     const result = {
       url: url,
+      ...adapterTags(adapter),
       scrapedAt: new Date().toISOString(),
       totalTransactions: allTransactions.length,
       totalPages: currentPage,
+      extraction: crawled.extraction || null,
+      profile: profile.name,
+      timings: crawled.timings,
+      health,
       transactions: allTransactions,
     };
+    if (listing) {
+      result.listing = listing;
+    }
+    if (proxy) {
+      result.proxy = proxy.id;
+    }
+    if (snapshots) {
+      result.snapshotDir = snapshots.dir;
+      console.log(`Page snapshots archived in ${snapshots.dir}`);
+    }
 
-    await fs.writeFile(outputFile, JSON.stringify(result, null, 2));
-    console.log(`\nData saved to ${outputFile}`);
+    if (pageFilter.active) {
+      result.incremental = pageFilter.stats;
+      const { newTransactions, knownTransactions, olderTransactions } =
+        pageFilter.stats;
+      console.log(
+        `New: ${newTransactions}, already known: ${knownTransactions}, older than cutoff: ${olderTransactions}`
+      );
+    }
+
+    printTimings(crawled.timings);
+    printHealth(health);
+
+    const saved = await writeExport(result, outputFile, options.format);
+    console.log(`\nData saved to ${saved.file} (${saved.format})`);
+
+    if (options.store) {
+      const { newTransactions } = store.recordCrawl({
+        url,
+        source: "cli",
+        transactions: allTransactions,
+      });
+      console.log(
+        `Stored in ${store.file}: ${newTransactions} new, ${
+          allTransactions.length - newTransactions
+        } already known`
+      );
+    }
+
+    if (listing) {
+      console.log("\nListing:");
+      console.log(`Title: ${listing.title || "N/A"}`);
+      console.log(
+        `Asking price: ${listing.askingPrice || "N/A"} (${
+          listing.askingPriceValue ?? "N/A"
+        })`
+      );
+      console.log(`PSF: ${listing.pricePerSqftValue ?? "N/A"}`);
+      console.log(
+        `Beds/baths: ${listing.bedroomCount ?? "N/A"}/${
+          listing.bathroomCount ?? "N/A"
+        }`
+      );
+      console.log(`Size: ${listing.sizeSqft ?? "N/A"} sqft`);
+      console.log(`Tenure: ${listing.tenure || "N/A"}`);
+      console.log(`TOP: ${listing.topYear || "N/A"}`);
+      console.log(
+        `Agent: ${listing.agent.name || "N/A"} (${listing.agent.agency || "N/A"})`
+      );
+      if (listing.warnings.length > 0) {
+        console.log(`${listing.warnings.length} listing parse warning(s)`);
+      }
+    }
 
     // Show preview of data
     console.log("\nPreview of scraped transactions:");
     allTransactions.slice(0, 5).forEach((item, idx) => {
       console.log(`\n--- Transaction ${idx + 1} ---`);
-      console.log(`Date: ${item.date}`);
+      console.log(`Date: ${item.date} (${item.transactionDate || "N/A"})`);
       console.log(`Bedrooms: ${item.bedrooms}`);
-      console.log(`Size: ${item.size}`);
-      console.log(`Price: ${item.price}`);
+      console.log(`Size: ${item.size} (${item.sizeSqm ?? "N/A"} sqm)`);
+      console.log(`Price: ${item.price} (${item.priceValue ?? "N/A"})`);
       console.log(`Price per sqft: ${item.pricePerSqft}`);
       console.log(`Floor: ${item.floor || "N/A"}`);
       console.log(`Address: ${item.address || "N/A"}`);
@@ -293,8 +357,11 @@ async function crawlPriceHistory(
     console.error("Error during crawling:", error.message);
     throw error;
   } finally {
-    if (browser) {
-      await browser.close();
+    if (crawler) {
+      await crawler.close();
+    }
+    if (store) {
+      store.close();
     }
   }
 }
@@ -303,32 +370,15 @@ async function crawlByClass(
   url,
   className,
   outputFile = "output.json",
-  headless = true
+  headless = true,
+  options = {}
 ) {
   let browser;
 
   try {
     console.log(`Starting browser...`);
-    browser = await puppeteer.launch({
-      headless: headless,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-blink-features=AutomationControlled",
-      ],
-    });
-
-    const page = await browser.newPage();
-
-    await page.setUserAgent(
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-    );
-
-    await page.evaluateOnNewDocument(() => {
-      Object.defineProperty(navigator, "webdriver", {
-        get: () => false,
-      });
-    });
+    browser = await launchBrowser({ headless });
+    const page = await newPage(browser);
 
     console.log(`Navigating to ${url}...`);
     await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
@@ -394,8 +444,8 @@ async function crawlByClass(
       elements: data,
     };
 
-    await fs.writeFile(outputFile, JSON.stringify(result, null, 2));
-    console.log(`\nData saved to ${outputFile}`);
+    const saved = await writeExport(result, outputFile, options.format);
+    console.log(`\nData saved to ${saved.file} (${saved.format})`);
 
     console.log("\nPreview of scraped data:");
     data.slice(0, 3).forEach((item, idx) => {
@@ -421,6 +471,282 @@ async function crawlByClass(
   }
 }
 
+async function crawlWithSchema(
+  url,
+  schema,
+  outputFile = "output.json",
+  headless = true,
+  options = {}
+) {
+  const crawler = new WebCrawler({ headless });
+
+  try {
+    console.log(`Starting browser...`);
+    const crawled = await crawler.crawlWithPagination(url, schema, {
+      maxPages: options.maxPages,
+    });
+
+    if (!crawled.found) {
+      console.log(`${schema.waitFor} not found, exiting...`);
+      return;
+    }
+
+    console.log(
+      `\nExtracted ${crawled.data.length} record(s) from ${crawled.pages} page(s)`
+    );
+
+    const result = {
+      url: url,
+      schema: schema.name || null,
+      scrapedAt: new Date().toISOString(),
+      count: crawled.data.length,
+      totalPages: crawled.pages,
+      rows: crawled.data,
+    };
+
+    const saved = await writeExport(result, outputFile, options.format);
+    console.log(`\nData saved to ${saved.file} (${saved.format})`);
+
+    console.log("\nPreview of extracted records:");
+    crawled.data.slice(0, 3).forEach((item, idx) => {
+      console.log(`\n--- Record ${idx + 1} ---`);
+      console.log(JSON.stringify(item, null, 2));
+    });
+
+    if (crawled.data.length > 3) {
+      console.log(`\n... and ${crawled.data.length - 3} more record(s)`);
+    }
+  } catch (error) {
+    console.error("Error during crawling:", error.message);
+    throw error;
+  } finally {
+    await crawler.close();
+  }
+}
+
+async function discoverSearch(
+  url,
+  outputFile = "discovery.json",
+  headless = true,
+  options = {}
+) {
+  let browser;
+
+  try {
+    console.log(`Starting browser...`);
+    browser = await launchBrowser({ headless });
+    const page = await newPage(browser);
+
+    console.log(`Navigating to ${url}...`);
+    const discovered = await discoverListings(page, url, {
+      maxPages: options.maxPages,
+      onPage: ({ page: pageNumber, found, total }) => {
+        console.log(
+          `Page ${pageNumber}: ${found} new listing(s), ${total} in total`
+        );
+      },
+    });
+
+    const result = buildDiscovery(url, discovered, {
+      dedupe: options.dedupe !== false,
+    });
+
+    console.log(
+      `\nFound ${result.totalListings} listing(s) in ${result.totalProjects} project(s) over ${result.totalPages} page(s)`
+    );
+    if (result.dedupedByProject) {
+      console.log(`Kept ${result.urls.length} listing(s), one per project`);
+    }
+
+    const saved = await writeExport(result, outputFile, options.format);
+    console.log(`\nData saved to ${saved.file} (${saved.format})`);
+
+    if (options.urls) {
+      await writeUrlList(options.urls, result.urls);
+      console.log(`URL list saved to ${options.urls}`);
+    }
+
+    console.log("\nPreview of discovered listings:");
+    result.listings.slice(0, 5).forEach((item, idx) => {
+      console.log(`\n--- Listing ${idx + 1} ---`);
+      console.log(`Title: ${item.title || "N/A"}`);
+      console.log(`Project: ${item.projectName || "N/A"}`);
+      console.log(`Price: ${item.price || "N/A"}`);
+      console.log(`Bedrooms: ${item.bedrooms || "N/A"}`);
+      console.log(`Size: ${item.size || "N/A"}`);
+      console.log(`URL: ${item.url}`);
+    });
+
+    if (result.listings.length > 5) {
+      console.log(`\n... and ${result.listings.length - 5} more listing(s)`);
+    }
+  } catch (error) {
+    console.error("Error during discovery:", error.message);
+    throw error;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+// Crawls a list of listing URLs in parallel, like the server's /crawl, and
+// saves the session in the same format. Ctrl+C cancels the crawl and still
+// saves what was scraped.
+async function bulkCrawl(urls, options = {}) {
+  const sessionId = createId();
+  const proxyPool = options.proxies
+    ? new ProxyPool(await readProxies(options.proxies))
+    : null;
+  const identities = options.userAgents
+    ? await readIdentities(options.userAgents)
+    : null;
+  const store =
+    options.store || options.incremental
+      ? new TransactionStore(
+          typeof options.store === "string" ? options.store : undefined
+        )
+      : null;
+  const display = new ProgressDisplay(urls.length);
+  const crawler = new FastCrawler({
+    concurrency: options.concurrency,
+    headless: options.headless,
+    timeout: options.timeout,
+    requestsPerMinute: options.requestsPerMinute,
+    store,
+    since: options.since,
+    incremental: options.incremental,
+    listing: options.listing,
+    extraction: options.extraction,
+    minFillRate: options.minFillRate,
+    profile: options.profile,
+    proxyPool,
+    identities,
+    rotation: options.rotation,
+    archive: options.archive
+      ? new SnapshotArchive(
+          typeof options.archive === "string" ? options.archive : undefined
+        )
+      : null,
+    artifacts: options.debugArtifacts
+      ? new ArtifactStore(
+          typeof options.debugArtifacts === "string"
+            ? options.debugArtifacts
+            : undefined
+        )
+      : null,
+    source: "cli",
+    onProgress: (id, event) => display.update(event),
+  });
+
+  const cancel = () => {
+    display.log("Cancelling, press Ctrl+C again to quit without saving...");
+    process.once("SIGINT", () => process.exit(130));
+    crawler.cancel();
+  };
+  process.once("SIGINT", cancel);
+
+  const startTime = Date.now();
+  let results;
+  try {
+    display.start();
+    results = await crawler.crawlMultipleUrls(urls, sessionId);
+  } finally {
+    display.finish();
+    process.removeListener("SIGINT", cancel);
+    if (store) store.close();
+  }
+
+  const session = {
+    sessionId,
+    crawledAt: new Date().toISOString(),
+    totalUrls: urls.length,
+    status: crawler.cancelled ? "cancelled" : "completed",
+    incomplete: crawler.cancelled,
+    failureSummary: summarizeFailures(results),
+    health: summarizeHealth(results, { minFillRate: options.minFillRate }),
+    profile: crawler.profile.name,
+    timings: summarizeTimings(results),
+    proxyUsage: crawler.proxySummary(),
+    results,
+  };
+
+  const succeeded = results.filter((result) => result.success).length;
+  const transactions = results.reduce(
+    (sum, result) =>
+      sum + ((result.data && result.data.transactions) || []).length,
+    0
+  );
+  console.log(
+    `\n${succeeded} of ${urls.length} URL(s) crawled, ${transactions} transaction(s) in ${Math.round((Date.now() - startTime) / 1000)}s`
+  );
+  Object.entries(session.failureSummary).forEach(([failureClass, summary]) => {
+    console.log(
+      `${summary.count} ${failureClass} failure(s)${summary.retryable ? " (retryable)" : ""}`
+    );
+  });
+  const { timings } = session;
+  if (timings.urls > 0) {
+    console.log(
+      `Average (${session.profile} profile): navigation ${seconds(timings.navigation)}, table ready ${seconds(timings.tableReady)}, ${seconds(timings.page)} per page, ${seconds(timings.total)} per URL`
+    );
+  }
+  results
+    .filter((result) => result.artifacts)
+    .forEach((result) =>
+      console.log(`Debug artifacts for ${result.url}: ${result.artifacts.dir}`)
+    );
+  printProxyUsage(session.proxyUsage);
+  printHealth(session.health);
+
+  if (options.output) {
+    const saved = await writeExport(session, options.output, options.format);
+    console.log(`Results saved to ${saved.file} (${saved.format})`);
+  } else {
+    const file = await new SessionStore().save(session);
+    console.log(`Results saved to ${file}`);
+  }
+  return session;
+}
+
+function checkRotation(scope) {
+  if (!ROTATION_SCOPES.includes(scope)) {
+    throw new Error(`--rotate must be one of: ${ROTATION_SCOPES.join(", ")}`);
+  }
+  return scope;
+}
+
+function checkProfile(name) {
+  if (!PROFILE_NAMES.includes(name)) {
+    throw new Error(`--profile must be one of: ${PROFILE_NAMES.join(", ")}`);
+  }
+  return name;
+}
+
+function checkExtraction(mode) {
+  if (!EXTRACTION_MODES.includes(mode)) {
+    throw new Error(
+      `--extraction must be one of: ${EXTRACTION_MODES.join(", ")}`
+    );
+  }
+  return mode;
+}
+
+async function readInput(file) {
+  if (file && file !== "-") {
+    return fs.readFile(file, "utf-8");
+  }
+  if (process.stdin.isTTY) {
+    throw new Error("Give a URL file or pipe the URLs to stdin");
+  }
+  let text = "";
+  process.stdin.setEncoding("utf-8");
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
 program
   .name("web-crawler")
   .description(
@@ -430,14 +756,140 @@ program
 
 program
   .command("price-history")
-  .description("Crawl PropertyGuru price history with pagination support")
+  .description(
+    "Crawl a listing's price history (PropertyGuru SG/MY, iProperty, 99.co)"
+  )
+  .requiredOption("-u, --url <url>", "Listing URL")
+  .option(
+    "-o, --output <file>",
+    "Output file, format taken from the extension (default: price-history.json)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option(
+    "--store [file]",
+    `Also save transactions to the SQLite store (default: ${DEFAULT_DB_FILE})`
+  )
+  .option(
+    "--since <date>",
+    "Stop paging at transactions older than this date (YYYY-MM-DD)"
+  )
+  .option(
+    "--incremental [file]",
+    "Stop at transactions already in this previous output file " +
+      "(or in the store when no file is given)"
+  )
+  .option(
+    "--extraction <mode>",
+    `Read the price history from network responses or the page (${EXTRACTION_MODES.join(", ")})`,
+    "auto"
+  )
+  .option(
+    "--archive [dir]",
+    `Save each page's rendered HTML for reextract (default: ${DEFAULT_SNAPSHOT_DIR})`
+  )
+  .option(
+    "--proxies <file>",
+    "Proxy list, one http://, socks5:// or http://user:pass@ proxy per line"
+  )
+  .option(
+    "--user-agents [file]",
+    "Rotate user agents and viewports (JSON list or one user agent per line; default: built-in list)"
+  )
+  .option(
+    "--profile <name>",
+    `Crawl profile: resource blocking, viewport and waits (${PROFILE_NAMES.join(", ")})`,
+    DEFAULT_PROFILE
+  )
+  .option(
+    "--min-fill-rate <percent>",
+    "Percent of transactions each required field must fill, or the crawl is degraded",
+    String(DEFAULT_MIN_FILL_RATE * 100)
+  )
+  .option("--headless <mode>", "Run in headless mode (true/false)", "false")
+  .action(async (options) => {
+    try {
+      const headlessMode = options.headless === "false" ? false : true;
+      const output = resolveOutput(
+        options.output,
+        options.format,
+        "price-history"
+      );
+      await crawlPriceHistory(options.url, output.file, headlessMode, {
+        format: output.format,
+        store: options.store,
+        since: options.since,
+        incremental: options.incremental,
+        extraction: checkExtraction(options.extraction),
+        archive: options.archive,
+        minFillRate: parseFloat(options.minFillRate) / 100,
+        profile: checkProfile(options.profile),
+        proxies: options.proxies,
+        userAgents: options.userAgents,
+      });
+    } catch (error) {
+      console.error("Failed to crawl:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("listing")
+  .description(
+    "Crawl a PropertyGuru listing's details together with its price history"
+  )
   .requiredOption("-u, --url <url>", "PropertyGuru listing URL")
-  .option("-o, --output <file>", "Output JSON file", "price-history.json")
+  .option(
+    "-o, --output <file>",
+    "Output file, format taken from the extension (default: listing.json)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option(
+    "--store [file]",
+    `Also save transactions to the SQLite store (default: ${DEFAULT_DB_FILE})`
+  )
+  .option(
+    "--extraction <mode>",
+    `Read the price history from network responses or the page (${EXTRACTION_MODES.join(", ")})`,
+    "auto"
+  )
+  .option(
+    "--archive [dir]",
+    `Save each page's rendered HTML for reextract (default: ${DEFAULT_SNAPSHOT_DIR})`
+  )
+  .option(
+    "--proxies <file>",
+    "Proxy list, one http://, socks5:// or http://user:pass@ proxy per line"
+  )
+  .option(
+    "--user-agents [file]",
+    "Rotate user agents and viewports (JSON list or one user agent per line; default: built-in list)"
+  )
+  .option(
+    "--profile <name>",
+    `Crawl profile: resource blocking, viewport and waits (${PROFILE_NAMES.join(", ")})`,
+    DEFAULT_PROFILE
+  )
+  .option(
+    "--min-fill-rate <percent>",
+    "Percent of transactions each required field must fill, or the crawl is degraded",
+    String(DEFAULT_MIN_FILL_RATE * 100)
+  )
   .option("--headless <mode>", "Run in headless mode (true/false)", "false")
   .action(async (options) => {
     try {
       const headlessMode = options.headless === "false" ? false : true;
-      await crawlPriceHistory(options.url, options.output, headlessMode);
+      const output = resolveOutput(options.output, options.format, "listing");
+      await crawlPriceHistory(options.url, output.file, headlessMode, {
+        format: output.format,
+        store: options.store,
+        listing: true,
+        extraction: checkExtraction(options.extraction),
+        archive: options.archive,
+        minFillRate: parseFloat(options.minFillRate) / 100,
+        profile: checkProfile(options.profile),
+        proxies: options.proxies,
+        userAgents: options.userAgents,
+      });
     } catch (error) {
       console.error("Failed to crawl:", error.message);
       process.exit(1);
@@ -447,20 +899,50 @@ program
 program
   .command("crawl")
   .description(
-    "Crawl a URL and extract data from elements with specified class"
+    "Crawl a URL and extract elements with a class name or an extraction schema"
   )
   .requiredOption("-u, --url <url>", "URL to crawl")
-  .requiredOption("-c, --class <className>", "CSS class name to search for")
-  .option("-o, --output <file>", "Output JSON file", "output.json")
+  .option("-c, --class <className>", "CSS class name to search for")
+  .option(
+    "-s, --schema <file>",
+    "Extraction schema: a .json or .js file, or a built-in name (price-history)"
+  )
+  .option("--max-pages <count>", "Stop after this many pages (with --schema)")
+  .option(
+    "-o, --output <file>",
+    "Output file, format taken from the extension (default: output.json)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
   .option("--headless <mode>", "Run in headless mode (true/false)", "false")
   .action(async (options) => {
     try {
+      if (!options.class === !options.schema) {
+        throw new Error("Pass either --class or --schema");
+      }
+
       const headlessMode = options.headless === "false" ? false : true;
+      const output = resolveOutput(options.output, options.format, "output");
+
+      if (options.schema) {
+        await crawlWithSchema(
+          options.url,
+          loadSchema(options.schema),
+          output.file,
+          headlessMode,
+          {
+            format: output.format,
+            maxPages: options.maxPages ? parseInt(options.maxPages, 10) : null,
+          }
+        );
+        return;
+      }
+
       await crawlByClass(
         options.url,
         options.class,
-        options.output,
-        headlessMode
+        output.file,
+        headlessMode,
+        { format: output.format }
       );
     } catch (error) {
       console.error("Failed to crawl:", error.message);
@@ -468,8 +950,484 @@ program
     }
   });
 
-if (process.argv.length === 2) {
-  program.help();
+program
+  .command("discover")
+  .description(
+    "Collect listing URLs and card data from a PropertyGuru search-results URL"
+  )
+  .requiredOption("-u, --url <url>", "PropertyGuru search-results URL")
+  .option(
+    "-o, --output <file>",
+    "Output file for the listing cards, format taken from the extension (default: discovery.json)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option(
+    "--urls <file>",
+    "Also save the discovered listing URLs to this file, one per line"
+  )
+  .option("--max-pages <count>", "Stop after this many result pages")
+  .option("--all-listings", "Keep every listing instead of one per project")
+  .option("--headless <mode>", "Run in headless mode (true/false)", "false")
+  .action(async (options) => {
+    try {
+      const headlessMode = options.headless === "false" ? false : true;
+      const output = resolveOutput(options.output, options.format, "discovery");
+      await discoverSearch(options.url, output.file, headlessMode, {
+        format: output.format,
+        urls: options.urls,
+        maxPages: options.maxPages ? parseInt(options.maxPages, 10) : null,
+        dedupe: !options.allListings,
+      });
+    } catch (error) {
+      console.error("Failed to discover:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("analyze")
+  .description(
+    "Median PSF by year and bedrooms, floor premium, trend, volume and outliers"
+  )
+  .argument(
+    "<files...>",
+    "price-history outputs or output/bulk-crawl-*.json files"
+  )
+  .option("--by <grouping>", "Report per listing or per project", "listing")
+  .option(
+    "--threshold <percent>",
+    "Flag transactions this far from their peers' median PSF",
+    String(DEFAULT_OUTLIER_THRESHOLD * 100)
+  )
+  .option("-o, --output <file>", "Also save the full report as JSON")
+  .action(async (files, options) => {
+    try {
+      const sources = [];
+      for (const file of files) {
+        sources.push(...extractSources(await loadPayload(file)));
+      }
+
+      const report = analyzeSources(sources, {
+        by: options.by,
+        outlierThreshold: parseFloat(options.threshold) / 100,
+      });
+
+      report.groups.forEach((group) => {
+        console.log(`\n=== ${group.key} ===`);
+        console.log(
+          `${group.totalTransactions} transaction(s), ${group.from || "?"} to ${
+            group.to || "?"
+          }, median PSF ${group.medianPsf ?? "N/A"} ${group.currency}`
+        );
+
+        console.log("\nMedian PSF by year:");
+        console.table(group.psfByYear);
+        console.log("By bedroom type:");
+        console.table(group.byBedroom);
+        console.log("Floor-level premium (vs lowest floors):");
+        console.table(group.floorPremium);
+        console.log("Transactions per quarter:");
+        console.table(group.transactionsPerQuarter);
+
+        if (group.trend) {
+          console.log(
+            `Trend: ${group.trend.psfPerYear} PSF/year (${group.trend.percentPerYear}%/year, r² ${group.trend.r2})`
+          );
+        }
+
+        console.log(
+          `\n${group.outliers.length} outlier(s) more than ${options.threshold}% from their peers`
+        );
+        if (group.outliers.length > 0) {
+          console.table(
+            group.outliers.slice(0, 10).map((outlier) => ({
+              date: outlier.transactionDate,
+              bedrooms: outlier.bedroomCount,
+              psf: outlier.pricePerSqftValue,
+              peerMedian: outlier.peerMedianPsf,
+              deviation: `${outlier.deviationPercent}%`,
+              address: outlier.address,
+            }))
+          );
+        }
+      });
+
+      if (options.output) {
+        const saved = await writeExport(report, options.output, "json");
+        console.log(`\nReport saved to ${saved.file}`);
+      }
+    } catch (error) {
+      console.error("Failed to analyze:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("changes")
+  .description(
+    "New and removed transactions and median PSF moves between two crawls"
+  )
+  .argument("<previous>", "Earlier price-history output or bulk-crawl file")
+  .argument("<current>", "Later crawl of the same listings")
+  .option(
+    "--threshold <percent>",
+    "Report median PSF moves of at least this many percent",
+    String(DEFAULT_PSF_THRESHOLD * 100)
+  )
+  .option("--notify", "Deliver the changes to the registered webhooks")
+  .option("-o, --output <file>", "Also save the change events as JSON")
+  .action(async (previousFile, currentFile, options) => {
+    try {
+      const previous = resultsByUrl(await loadPayload(previousFile));
+      const current = resultsByUrl(await loadPayload(currentFile));
+
+      const changes = [];
+      current.forEach((result, url) => {
+        if (!previous.has(url)) {
+          console.log(`No previous crawl of ${url}, skipping`);
+          return;
+        }
+        changes.push(
+          ...detectChanges(previous.get(url), result, {
+            psfThreshold: parseFloat(options.threshold) / 100,
+          })
+        );
+      });
+
+      console.log(`\n${changes.length} change(s)`);
+      changes.forEach((change) => console.log(`- ${describeChange(change)}`));
+
+      if (options.output) {
+        const saved = await writeExport(changes, options.output, "json");
+        console.log(`\nChanges saved to ${saved.file}`);
+      }
+
+      if (options.notify && changes.length > 0) {
+        const webhooks = new WebhookStore();
+        await webhooks.load();
+        const deliveries = await new WebhookDispatcher(webhooks).dispatch(
+          changes
+        );
+        const failed = deliveries.filter((delivery) => !delivery.ok);
+        console.log(
+          `Delivered to ${deliveries.length - failed.length} of ${deliveries.length} webhook(s)`
+        );
+        if (failed.length > 0) process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error("Failed to compare crawls:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("bulk")
+  .description(
+    "Crawl many listings' price histories in parallel, like the server's /crawl"
+  )
+  .argument(
+    "[file]",
+    "URL list, one per line or a CSV with a url column (default: stdin)"
+  )
+  .option(
+    "-o, --output <file>",
+    "Output file, format taken from the extension " +
+      "(default: output/bulk-crawl-<id>.json, listed in the results explorer)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option("--concurrency <count>", "Listings crawled at the same time", "3")
+  .option("--timeout <seconds>", "Page load timeout", "30")
+  .option("--requests-per-minute <count>", "Per-site request rate limit")
+  .option(
+    "--store [file]",
+    `Also save transactions to the SQLite store (default: ${DEFAULT_DB_FILE})`
+  )
+  .option(
+    "--since <date>",
+    "Stop paging at transactions older than this date (YYYY-MM-DD)"
+  )
+  .option(
+    "--incremental",
+    "Stop at transactions already in the store (implies --store)"
+  )
+  .option("--listing", "Also extract each listing's details")
+  .option(
+    "--allow-partial",
+    "Exit successfully when some URLs fail, as long as one succeeds"
+  )
+  .option(
+    "--extraction <mode>",
+    `Read the price history from network responses or the page (${EXTRACTION_MODES.join(", ")})`,
+    "auto"
+  )
+  .option(
+    "--archive [dir]",
+    `Save each page's rendered HTML for reextract (default: ${DEFAULT_SNAPSHOT_DIR})`
+  )
+  .option(
+    "--proxies <file>",
+    "Proxy list, one http://, socks5:// or http://user:pass@ proxy per line"
+  )
+  .option(
+    "--user-agents [file]",
+    "Rotate user agents and viewports (JSON list or one user agent per line; default: built-in list)"
+  )
+  .option(
+    "--rotate <scope>",
+    `Pick a proxy and user agent per ${ROTATION_SCOPES.join(" or per ")}`,
+    "page"
+  )
+  .option(
+    "--profile <name>",
+    `Crawl profile: resource blocking, viewport and waits (${PROFILE_NAMES.join(", ")})`,
+    DEFAULT_PROFILE
+  )
+  .option(
+    "--min-fill-rate <percent>",
+    "Percent of transactions each required field must fill, or the crawl is degraded",
+    String(DEFAULT_MIN_FILL_RATE * 100)
+  )
+  .option(
+    "--debug-artifacts [dir]",
+    `Save a screenshot, the HTML and the console and network logs of failed URLs under <dir>/<session id>/artifacts (default: ${DEFAULT_ARTIFACTS_ROOT})`
+  )
+  .option("--headless <mode>", "Run in headless mode (true/false)", "true")
+  .action(async (file, options) => {
+    try {
+      const urls = parseUrlList(await readInput(file));
+      if (urls.length === 0) {
+        throw new Error("No URLs found in the input");
+      }
+      const unsupported = urls.filter((url) => !findAdapter(url));
+      if (unsupported.length > 0) {
+        throw new Error(`No site adapter for: ${unsupported.join(", ")}`);
+      }
+
+      const session = await bulkCrawl(urls, {
+        output: options.output,
+        format: options.format,
+        concurrency: parseInt(options.concurrency, 10) || 3,
+        timeout: (parseInt(options.timeout, 10) || 30) * 1000,
+        requestsPerMinute: options.requestsPerMinute
+          ? parseInt(options.requestsPerMinute, 10)
+          : undefined,
+        store: options.store,
+        since: options.since,
+        incremental: options.incremental,
+        listing: options.listing,
+        extraction: checkExtraction(options.extraction),
+        archive: options.archive,
+        minFillRate: parseFloat(options.minFillRate) / 100,
+        profile: checkProfile(options.profile),
+        proxies: options.proxies,
+        userAgents: options.userAgents,
+        rotation: checkRotation(options.rotate),
+        debugArtifacts: options.debugArtifacts,
+        headless: options.headless !== "false",
+      });
+
+      const succeeded = session.results.filter((result) => result.success);
+      const allowed = options.allowPartial && succeeded.length > 0;
+      if (succeeded.length < urls.length && !allowed) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error("Failed to crawl:", error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("reextract")
+  .description(
+    "Run the extraction again over archived page snapshots, without a browser"
+  )
+  .argument(
+    "[paths...]",
+    `Snapshot files or directories (default: ${DEFAULT_SNAPSHOT_DIR})`
+  )
+  .option("-u, --url <url>", "Only snapshots of this listing URL")
+  .option("--latest", "Only the latest archived crawl of each listing")
+  .option(
+    "-s, --schema <file>",
+    "Extraction schema to use instead of the site adapter's: a .json or .js file, or a built-in name"
+  )
+  .option("--listing", "Also extract listing details from the first page")
+  .option(
+    "--min-fill-rate <percent>",
+    "Percent of transactions each required field must fill, or the crawl is degraded",
+    String(DEFAULT_MIN_FILL_RATE * 100)
+  )
+  .option(
+    "-o, --output <file>",
+    "Output file, format taken from the extension (default: reextracted.json)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .action(async (paths, options) => {
+    try {
+      let crawls = await readSnapshots(
+        paths.length > 0 ? paths : [DEFAULT_SNAPSHOT_DIR]
+      );
+      if (options.url) {
+        crawls = crawls.filter((crawl) => crawl.url === options.url);
+      }
+      if (options.latest) {
+        // Crawls come oldest first, so the last one per URL wins
+        const latest = new Map();
+        crawls.forEach((crawl) => latest.set(crawl.url, crawl));
+        crawls = [...latest.values()];
+      }
+      if (crawls.length === 0) {
+        throw new Error("No snapshots found");
+      }
+
+      const output = resolveOutput(
+        options.output,
+        options.format,
+        "reextracted"
+      );
+      const session = await reextract(crawls, {
+        schema: options.schema ? loadSchema(options.schema) : null,
+        listing: options.listing,
+        minFillRate: parseFloat(options.minFillRate) / 100,
+      });
+
+      session.results.forEach((result) => {
+        if (result.success) {
+          const { scrapedAt, totalTransactions, totalPages, health } =
+            result.data;
+          console.log(
+            `${health.status === "ok" ? "✓" : "⚠️ "} ${result.url} (crawled ${scrapedAt}): ${totalTransactions} transaction(s) from ${totalPages} page(s)`
+          );
+        } else {
+          console.log(`✗ ${result.url}: ${result.error}`);
+        }
+      });
+
+      printHealth(session.health);
+
+      const saved = await writeExport(session, output.file, output.format);
+      console.log(`\nData saved to ${saved.file} (${saved.format})`);
+      if (session.results.some((result) => !result.success)) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error("Failed to re-extract:", error.message);
+      process.exit(1);
+    }
+  });
+
+function storeFilters(options) {
+  return {
+    url: options.url,
+    since: options.since,
+    until: options.until,
+    bedrooms:
+      options.bedrooms !== undefined
+        ? parseInt(options.bedrooms, 10)
+        : undefined,
+    limit: options.limit,
+  };
 }
 
-program.parse();
+const db = program
+  .command("db")
+  .description("Read data back out of the SQLite transaction store");
+
+db.command("query")
+  .description("Print stored transactions, listings or crawl runs")
+  .option("--db <file>", "SQLite database file", DEFAULT_DB_FILE)
+  .option("-u, --url <url>", "Only transactions of this listing URL")
+  .option("--since <date>", "Transactions on or after this date (YYYY-MM-DD)")
+  .option("--until <date>", "Transactions on or before this date (YYYY-MM-DD)")
+  .option("--bedrooms <count>", "Only transactions with this many bedrooms")
+  .option("-l, --limit <count>", "Maximum rows to print", "20")
+  .option("--listings", "List stored listings instead of transactions")
+  .option("--runs", "List recent crawl runs instead of transactions")
+  .action((options) => {
+    let store;
+    try {
+      store = new TransactionStore(options.db);
+
+      if (options.listings) {
+        console.table(store.listListings());
+        return;
+      }
+      if (options.runs) {
+        console.table(store.listRuns(options.limit));
+        return;
+      }
+
+      const rows = store.queryTransactions(storeFilters(options));
+      console.table(
+        rows.map((row) => ({
+          date: row.transactionDate || row.date,
+          bedrooms: row.bedroomCount,
+          sizeSqft: row.sizeSqft,
+          price: row.priceValue,
+          psf: row.pricePerSqftValue,
+          address: row.address,
+          firstSeen: row.firstSeenAt,
+          lastSeen: row.lastSeenAt,
+        }))
+      );
+      console.log(`${rows.length} transaction(s)`);
+    } catch (error) {
+      console.error("Failed to query store:", error.message);
+      process.exit(1);
+    } finally {
+      if (store) store.close();
+    }
+  });
+
+db.command("export")
+  .description("Export stored transactions to a file")
+  .option("--db <file>", "SQLite database file", DEFAULT_DB_FILE)
+  .option(
+    "-o, --output <file>",
+    "Output file, format taken from the extension (default: transactions.json)"
+  )
+  .option("-f, --format <format>", `Output format (${FORMATS.join(", ")})`)
+  .option("-u, --url <url>", "Only transactions of this listing URL")
+  .option("--since <date>", "Transactions on or after this date (YYYY-MM-DD)")
+  .option("--until <date>", "Transactions on or before this date (YYYY-MM-DD)")
+  .option("--bedrooms <count>", "Only transactions with this many bedrooms")
+  .action(async (options) => {
+    let store;
+    try {
+      store = new TransactionStore(options.db);
+      const rows = store.queryTransactions(
+        storeFilters({ ...options, limit: null })
+      );
+      const output = resolveOutput(
+        options.output,
+        options.format,
+        "transactions"
+      );
+      const saved = await writeExport(rows, output.file, output.format);
+      console.log(`Exported ${rows.length} transaction(s) to ${saved.file}`);
+    } catch (error) {
+      console.error("Failed to export store:", error.message);
+      process.exit(1);
+    } finally {
+      if (store) store.close();
+    }
+  });
+
+module.exports = {
+  WebCrawler,
+  bulkCrawl,
+  crawlByClass,
+  crawlPriceHistory,
+  crawlWithSchema,
+  discoverSearch,
+};
+
+// Only run the CLI when executed directly, so the crawler can be required
+if (require.main === module) {
+  if (process.argv.length === 2) {
+    program.help();
+  }
+
+  program.parse();
+}
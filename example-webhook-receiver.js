@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+// Stand-in webhook endpoint for trying out change alerts locally. Prints every
+// delivery it receives; with --fail <n> it answers the first n requests with
+// a 500 so the retries show up in the delivery log.
+//
+//   node example-webhook-receiver.js --port 4000 --fail 2
+//   curl -X POST localhost:3001/webhooks -H "Content-Type: application/json" \
+//     -d '{"url": "http://localhost:4000/hook"}'
+
+const http = require("http");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? parseInt(args[index + 1], 10) : fallback;
+};
+
+const port = option("--port", 4000);
+let failuresLeft = option("--fail", 0);
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const time = new Date().toISOString();
+    const event = req.headers["x-crawler-event"] || "-";
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`[${time}] ${req.method} ${req.url} (${event}) -> 500`);
+      res.writeHead(500).end("Simulated failure");
+      return;
+    }
+
+    let payload = body;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      // Not JSON; print as is
+    }
+    console.log(`[${time}] ${req.method} ${req.url} (${event}) -> 200`);
+    console.log(
+      typeof payload === "string" ? payload : JSON.stringify(payload, null, 2)
+    );
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,96 @@
+// Site adapters: everything that ties the crawler to one property portal.
+// An adapter is defined as
+//
+//   {
+//     id: "propertyguru-sg",
+//     name: "PropertyGuru Singapore",
+//     market: "SG",
+//     currency: "SGD",              // default currency of prices
+//     areaUnit: "sqft",             // unit floor areas are shown in
+//     hosts: [/propertyguru\.com\.sg$/],
+//     assetHosts: [/pgimgs\.com$/], // other hosts its pages load from
+//     schema: { ... },              // price history extraction schema; its
+//                                   // `setup` actions clear any filters
+//     navigate(page, url, { timeout, waitUntil }), // optional
+//     waitUntilReady(page, { wait }),              // optional
+//   }
+//
+// and picked for a URL with getAdapter(url).
+
+const { compileSchema, runActions } = require("../web-crawler");
+
+async function defaultNavigate(
+  page,
+  url,
+  { timeout = 30000, waitUntil = "networkidle2" } = {}
+) {
+  return page.goto(url, { waitUntil, timeout });
+}
+
+// Lazy-loaded sections (the price history among them) render on scroll
+async function defaultWaitUntilReady(page, { wait = 2000 } = {}) {
+  await runActions(page, [{ scroll: "bottom", wait }]);
+}
+
+function createAdapter(definition) {
+  const adapter = {
+    navigate: defaultNavigate,
+    waitUntilReady: defaultWaitUntilReady,
+    assetHosts: [],
+    ...definition,
+    schema: compileSchema(definition.schema),
+  };
+
+  adapter.matches = (url) => {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (error) {
+      return false;
+    }
+    return adapter.hosts.some((pattern) => pattern.test(host));
+  };
+  adapter.clearFilters = (page) => runActions(page, adapter.schema.setup);
+
+  return adapter;
+}
+
+const ADAPTERS = [
+  require("./propertyguru-sg"),
+  require("./propertyguru-my"),
+  require("./iproperty-my"),
+  require("./ninety-nine-co"),
+].map(createAdapter);
+
+function findAdapter(url) {
+  return ADAPTERS.find((adapter) => adapter.matches(url)) || null;
+}
+
+function getAdapter(url) {
+  const adapter = findAdapter(url);
+  if (!adapter) {
+    throw new Error(
+      `No site adapter for ${url} (supported: ${ADAPTERS.map(
+        (candidate) => candidate.name
+      ).join(", ")})`
+    );
+  }
+  return adapter;
+}
+
+// Fields every result carries so mixed-market crawls stay comparable
+function adapterTags(adapter) {
+  return {
+    adapter: adapter.id,
+    market: adapter.market,
+    currency: adapter.currency,
+  };
+}
+
+module.exports = {
+  ADAPTERS,
+  adapterTags,
+  createAdapter,
+  findAdapter,
+  getAdapter,
+};
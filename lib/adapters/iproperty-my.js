@@ -0,0 +1,11 @@
+// iproperty.com.my is part of the PropertyGuru group and serves listings
+// from the same platform as propertyguru.com.my
+
+const propertyguruMy = require("./propertyguru-my");
+
+module.exports = {
+  ...propertyguruMy,
+  id: "iproperty-my",
+  name: "iProperty Malaysia",
+  hosts: [/(^|\.)iproperty\.com\.my$/],
+};
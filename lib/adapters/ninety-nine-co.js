@@ -0,0 +1,37 @@
+// 99.co (Singapore). Past transactions are a plain table under the listing's
+// "Transactions" section, so columns are read by position.
+
+const { normalizeTransactions } = require("../normalize");
+
+const SECTION = '[data-cy="transactionHistory"]';
+
+module.exports = {
+  id: "99co-sg",
+  name: "99.co Singapore",
+  market: "SG",
+  currency: "SGD",
+  areaUnit: "sqft",
+  hosts: [/(^|\.)99\.co$/],
+  schema: {
+    name: "99co-price-history",
+    waitFor: SECTION,
+    rowSelector: `${SECTION} tbody tr`,
+    // Show every unit type rather than the listing's own
+    setup: [{ click: '[data-cy="transactionFilterAll"]', wait: 2000 }],
+    fields: {
+      date: "td:nth-child(1)",
+      address: "td:nth-child(2)",
+      bedrooms: "td:nth-child(3)",
+      size: "td:nth-child(4)",
+      price: "td:nth-child(5)",
+      pricePerSqft: "td:nth-child(6)",
+      floor: { from: "address", pattern: "#(\\d+)-" },
+    },
+    transform: (rows) => normalizeTransactions(rows, { currency: "SGD" }),
+    pagination: {
+      nextButton: `${SECTION} [aria-label="Next page"]`,
+      disabled: { className: "disabled" },
+      wait: 2000,
+    },
+  },
+};
@@ -0,0 +1,20 @@
+// propertyguru.com.my runs the same listing pages as Singapore; only the
+// currency differs
+
+const { normalizeTransactions } = require("../normalize");
+const priceHistorySchema = require("../schemas/price-history");
+
+module.exports = {
+  id: "propertyguru-my",
+  name: "PropertyGuru Malaysia",
+  market: "MY",
+  currency: "MYR",
+  areaUnit: "sqft",
+  hosts: [/(^|\.)propertyguru\.com\.my$/],
+  assetHosts: [/(^|\.)pgimgs\.com$/],
+  schema: {
+    ...priceHistorySchema,
+    name: "propertyguru-my-price-history",
+    transform: (rows) => normalizeTransactions(rows, { currency: "MYR" }),
+  },
+};
@@ -0,0 +1,13 @@
+// propertyguru.com.sg, the original target of this crawler
+
+module.exports = {
+  id: "propertyguru-sg",
+  name: "PropertyGuru Singapore",
+  market: "SG",
+  currency: "SGD",
+  areaUnit: "sqft",
+  hosts: [/(^|\.)propertyguru\.com\.sg$/],
+  // Scripts and images come from the group's CDN
+  assetHosts: [/(^|\.)pgimgs\.com$/],
+  schema: require("../schemas/price-history"),
+};
@@ -0,0 +1,442 @@
+// Project-level statistics over crawled transactions: median PSF by year and
+// bedroom type, floor-level premium, PSF trend, volume per quarter, and
+// outliers that stray too far from comparable transactions.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { transactionKey } = require("./store");
+
+const DEFAULT_OUTLIER_THRESHOLD = 0.2;
+const MIN_PEERS = 3;
+const FLOOR_BAND_SIZE = 5;
+
+// Typed columns that come back as strings when reading a CSV export
+const NUMERIC_FIELDS = [
+  "priceValue",
+  "pricePerSqftValue",
+  "sizeSqft",
+  "sizeSqm",
+  "bedroomCount",
+  "leaseYears",
+  "leaseStartYear",
+  "floorMin",
+  "floorMax",
+];
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, digits = 0) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function psfOf(transaction) {
+  if (transaction.pricePerSqftValue) return transaction.pricePerSqftValue;
+  if (transaction.priceValue && transaction.sizeSqft) {
+    return transaction.priceValue / transaction.sizeSqft;
+  }
+  return null;
+}
+
+function yearOf(transaction) {
+  return transaction.transactionDate
+    ? parseInt(transaction.transactionDate.slice(0, 4), 10)
+    : null;
+}
+
+function quarterOf(transaction) {
+  if (!transaction.transactionDate) return null;
+  const month = parseInt(transaction.transactionDate.slice(5, 7), 10);
+  return `${yearOf(transaction)}-Q${Math.ceil(month / 3)}`;
+}
+
+// Fractional year, for the trend line
+function timeOf(transaction) {
+  const time = Date.parse(transaction.transactionDate);
+  return isNaN(time) ? null : 1970 + time / (365.25 * 24 * 3600 * 1000);
+}
+
+function floorBandOf(transaction) {
+  if (transaction.floorMin === null || transaction.floorMin === undefined) {
+    return null;
+  }
+  const max = transaction.floorMax ?? transaction.floorMin;
+  const floor = Math.max(1, Math.round((transaction.floorMin + max) / 2));
+  const start = Math.floor((floor - 1) / FLOOR_BAND_SIZE) * FLOOR_BAND_SIZE + 1;
+  const end = start + FLOOR_BAND_SIZE - 1;
+  return `${String(start).padStart(2, "0")}-${String(end).padStart(2, "0")}`;
+}
+
+function bedroomLabel(count) {
+  if (count === null || count === undefined) return "unknown";
+  return count === 0 ? "studio" : `${count}`;
+}
+
+// Rows of { [key], count, medianPsf } for transactions grouped by `keyOf`
+function summarizeBy(items, keyOf, extra = () => ({})) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (key === null || key === undefined) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, group]) => {
+      const psfs = group.map((item) => item.psf);
+      return {
+        key,
+        count: group.length,
+        medianPsf: round(median(psfs)),
+        minPsf: round(Math.min(...psfs)),
+        maxPsf: round(Math.max(...psfs)),
+        ...extra(group),
+      };
+    });
+}
+
+function medianOf(items, field) {
+  return round(
+    median(
+      items.map((item) => item.transaction[field]).filter((value) => value)
+    )
+  );
+}
+
+// Least-squares line of PSF against time
+function trendOf(items) {
+  const points = items
+    .map((item) => ({ x: timeOf(item.transaction), y: item.psf }))
+    .filter((point) => point.x !== null);
+  if (points.length < 2) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach((p) => {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) ** 2;
+  });
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const dates = items
+    .map((item) => item.transaction.transactionDate)
+    .filter(Boolean)
+    .sort();
+
+  return {
+    psfPerYear: round(slope),
+    percentPerYear: round((slope / meanY) * 100, 1),
+    r2: syy === 0 ? null : round((sxy * sxy) / (sxx * syy), 3),
+    from: dates[0],
+    to: dates[dates.length - 1],
+  };
+}
+
+// Transactions whose PSF is more than `threshold` away from the median of
+// their peers: same year and bedroom type, at least MIN_PEERS of them
+function findOutliers(items, threshold) {
+  const peers = new Map();
+  items.forEach((item) => {
+    const key = `${yearOf(item.transaction)}|${item.transaction.bedroomCount}`;
+    if (!peers.has(key)) peers.set(key, []);
+    peers.get(key).push(item);
+  });
+
+  const outliers = [];
+  peers.forEach((group) => {
+    if (group.length < MIN_PEERS) return;
+    const peerMedian = median(group.map((item) => item.psf));
+
+    group.forEach((item) => {
+      const deviation = (item.psf - peerMedian) / peerMedian;
+      if (Math.abs(deviation) > threshold) {
+        const { transaction } = item;
+        outliers.push({
+          transactionDate: transaction.transactionDate,
+          bedroomCount: transaction.bedroomCount,
+          address: transaction.address,
+          priceValue: transaction.priceValue,
+          pricePerSqftValue: round(item.psf),
+          peerMedianPsf: round(peerMedian),
+          peerCount: group.length,
+          deviationPercent: round(deviation * 100, 1),
+          sourceUrl: transaction.sourceUrl,
+        });
+      }
+    });
+  });
+
+  return outliers.sort(
+    (a, b) => Math.abs(b.deviationPercent) - Math.abs(a.deviationPercent)
+  );
+}
+
+function analyzeTransactions(transactions, options = {}) {
+  const threshold = options.outlierThreshold ?? DEFAULT_OUTLIER_THRESHOLD;
+
+  const items = transactions
+    .map((transaction) => ({ transaction, psf: psfOf(transaction) }))
+    .filter((item) => item.psf);
+  const dates = transactions
+    .map((transaction) => transaction.transactionDate)
+    .filter(Boolean)
+    .sort();
+
+  const psfByYear = summarizeBy(items, (item) => yearOf(item.transaction)).map(
+    ({ key, ...stats }) => ({ year: key, ...stats })
+  );
+
+  const byBedroom = summarizeBy(
+    items,
+    (item) => bedroomLabel(item.transaction.bedroomCount),
+    (group) => ({
+      medianPrice: medianOf(group, "priceValue"),
+      medianSizeSqft: medianOf(group, "sizeSqft"),
+    })
+  ).map(({ key, ...stats }) => ({ bedrooms: key, ...stats }));
+
+  // Premium of each floor band over the lowest band with data
+  const bands = summarizeBy(items, (item) => floorBandOf(item.transaction));
+  const baseline = bands.length > 0 ? bands[0].medianPsf : null;
+  const floorPremium = bands.map(({ key, ...stats }) => ({
+    floors: key,
+    ...stats,
+    premiumPercent:
+      baseline !== null
+        ? round((stats.medianPsf / baseline - 1) * 100, 1)
+        : null,
+  }));
+
+  const quarters = new Map();
+  transactions.forEach((transaction) => {
+    const quarter = quarterOf(transaction);
+    if (quarter) quarters.set(quarter, (quarters.get(quarter) || 0) + 1);
+  });
+  const psfByQuarter = new Map(
+    summarizeBy(items, (item) => quarterOf(item.transaction)).map((row) => [
+      row.key,
+      row.medianPsf,
+    ])
+  );
+  const transactionsPerQuarter = Array.from(quarters.entries())
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([quarter, count]) => ({
+      quarter,
+      count,
+      medianPsf: psfByQuarter.get(quarter) ?? null,
+    }));
+
+  const currencies = [
+    ...new Set(transactions.map((t) => t.currency).filter(Boolean)),
+  ];
+
+  return {
+    totalTransactions: transactions.length,
+    withPsf: items.length,
+    currency: currencies.length === 1 ? currencies[0] : currencies,
+    from: dates[0] || null,
+    to: dates[dates.length - 1] || null,
+    medianPsf: round(median(items.map((item) => item.psf))),
+    psfByYear,
+    byBedroom,
+    floorPremium,
+    trend: trendOf(items),
+    transactionsPerQuarter,
+    outlierThreshold: threshold,
+    outliers: findOutliers(items, threshold),
+  };
+}
+
+// The street address without the unit number ("8 Tembusu Road #03-**" ->
+// "8 Tembusu Road"), which is the same for every unit in a block
+function projectKeyOf(transaction) {
+  if (!transaction.address) return null;
+  return transaction.address.replace(/#.*$/, "").trim() || null;
+}
+
+// Listing sources ({ url, title, transactions }) in any payload the crawler
+// writes: a price-history result, a bulk-crawl file, or flat rows (exports
+// and store queries) carrying a sourceUrl
+function extractSources(payload) {
+  if (Array.isArray(payload)) {
+    const byUrl = new Map();
+    payload.forEach((row) => {
+      const url = row.sourceUrl || null;
+      if (!byUrl.has(url)) byUrl.set(url, { url, transactions: [] });
+      byUrl.get(url).transactions.push(row);
+    });
+    return Array.from(byUrl.values());
+  }
+
+  if (Array.isArray(payload.results)) {
+    return payload.results
+      .filter((result) => result.data && result.data.transactions)
+      .map((result) => ({
+        url: result.url,
+        title: result.data.listing ? result.data.listing.title : null,
+        transactions: result.data.transactions,
+      }));
+  }
+
+  if (Array.isArray(payload.transactions)) {
+    return [
+      {
+        url: payload.url,
+        title: payload.listing ? payload.listing.title : null,
+        transactions: payload.transactions,
+      },
+    ];
+  }
+
+  throw new Error("No transactions found in the input");
+}
+
+// `by: "listing"` reports each crawled listing on its own; `by: "project"`
+// pools every listing's transactions per address (without unit number),
+// dropping the duplicates that listings of the same project share
+function analyzeSources(sources, options = {}) {
+  const by = options.by || "listing";
+  let groups;
+
+  if (by === "listing") {
+    groups = sources.map((source) => ({
+      key: source.title || source.url,
+      urls: [source.url],
+      transactions: source.transactions,
+    }));
+  } else if (by === "project") {
+    const projects = new Map();
+    sources.forEach((source) => {
+      source.transactions.forEach((transaction) => {
+        const key = projectKeyOf(transaction) || source.url;
+        if (!projects.has(key)) {
+          projects.set(key, {
+            key,
+            urls: new Set(),
+            seen: new Set(),
+            transactions: [],
+          });
+        }
+        const project = projects.get(key);
+        project.urls.add(source.url);
+
+        const dedupeKey = transactionKey(transaction);
+        if (!project.seen.has(dedupeKey)) {
+          project.seen.add(dedupeKey);
+          project.transactions.push({ sourceUrl: source.url, ...transaction });
+        }
+      });
+    });
+    groups = Array.from(projects.values()).map((project) => ({
+      key: project.key,
+      urls: Array.from(project.urls),
+      transactions: project.transactions,
+    }));
+  } else {
+    throw new Error(`Unknown grouping "${by}" (expected listing or project)`);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    by,
+    groups: groups.map((group) => ({
+      key: group.key,
+      urls: group.urls,
+      ...analyzeTransactions(group.transactions, options),
+    })),
+  };
+}
+
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records;
+  return rows.map((cells) => {
+    const row = {};
+    header.forEach((column, index) => {
+      const value = cells[index];
+      if (value === undefined || value === "") return;
+      row[column] = NUMERIC_FIELDS.includes(column) ? Number(value) : value;
+    });
+    return row;
+  });
+}
+
+// Reads a JSON, NDJSON or CSV file written by the crawler
+async function loadPayload(file) {
+  const text = await fs.readFile(file, "utf-8");
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === ".csv") return parseCsv(text);
+  if (extension === ".ndjson") {
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+  if (extension === ".xlsx") {
+    throw new Error("Cannot analyze .xlsx files; export as json or csv");
+  }
+  return JSON.parse(text);
+}
+
+module.exports = {
+  DEFAULT_OUTLIER_THRESHOLD,
+  analyzeSources,
+  analyzeTransactions,
+  extractSources,
+  loadPayload,
+  median,
+  parseCsv,
+  psfOf,
+};
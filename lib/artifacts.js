@@ -0,0 +1,170 @@
+// Debug artifacts for failed crawls: what the browser saw when a URL failed
+// (a captcha, a cookie wall, a removed listing, a new layout). A PageRecorder
+// collects console messages and failed requests while the page is open; on
+// failure the ArtifactStore writes them with a full-page screenshot and the
+// page HTML to output/<sessionId>/artifacts/<urlIndex>/.
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_ARTIFACTS_ROOT = process.env.CRAWLER_ARTIFACTS_DIR || "output";
+
+const ARTIFACT_FILES = {
+  screenshot: "screenshot.png",
+  html: "page.html",
+  console: "console.json",
+  network: "network.json",
+  meta: "artifacts.json",
+};
+
+// Oldest entries are dropped past this, so a noisy page stays bounded
+const MAX_ENTRIES = 500;
+
+// A crashed or hung page should not hold up the retry
+const CAPTURE_TIMEOUT = 15000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error("Timed out")), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+function pushBounded(list, entry) {
+  list.push(entry);
+  if (list.length > MAX_ENTRIES) list.shift();
+}
+
+class PageRecorder {
+  constructor(page) {
+    this.page = page;
+    this.console = [];
+    this.network = [];
+    this.listeners = {
+      console: (message) =>
+        pushBounded(this.console, {
+          at: new Date().toISOString(),
+          type: message.type(),
+          text: message.text(),
+        }),
+      pageerror: (error) =>
+        pushBounded(this.console, {
+          at: new Date().toISOString(),
+          type: "pageerror",
+          text: error.message,
+        }),
+      requestfailed: (request) => {
+        const failure = request.failure() ? request.failure().errorText : null;
+        // Requests the crawl profile blocked on purpose
+        if (failure === "net::ERR_BLOCKED_BY_CLIENT") return;
+        pushBounded(this.network, {
+          at: new Date().toISOString(),
+          method: request.method(),
+          url: request.url(),
+          resourceType: request.resourceType(),
+          failure,
+        });
+      },
+      response: (response) => {
+        if (response.status() < 400) return;
+        pushBounded(this.network, {
+          at: new Date().toISOString(),
+          method: response.request().method(),
+          url: response.url(),
+          resourceType: response.request().resourceType(),
+          status: response.status(),
+        });
+      },
+    };
+  }
+
+  start() {
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      this.page.on(event, listener)
+    );
+    return this;
+  }
+
+  stop() {
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      this.page.off(event, listener)
+    );
+  }
+}
+
+class ArtifactStore {
+  constructor(root = DEFAULT_ARTIFACTS_ROOT) {
+    this.root = root;
+  }
+
+  dirFor(sessionId, urlIndex) {
+    return path.join(this.root, sessionId, "artifacts", String(urlIndex));
+  }
+
+  // Writes what can still be read from `page`; each file is best effort, so
+  // a page that crashed still leaves its logs. A later failed attempt of the
+  // same URL replaces the files. Returns { dir, files, ... } for the result.
+  async capture(page, recorder, { sessionId, urlIndex, ...details }) {
+    const dir = this.dirFor(sessionId, urlIndex);
+    await fs.mkdir(dir, { recursive: true });
+
+    const files = [];
+    const write = async (name, read) => {
+      try {
+        const body = await withTimeout(read(), CAPTURE_TIMEOUT);
+        await fs.writeFile(path.join(dir, name), body);
+        files.push(name);
+      } catch (error) {
+        // Nothing left to capture for this file
+      }
+    };
+
+    await write(ARTIFACT_FILES.screenshot, () =>
+      page.screenshot({ fullPage: true })
+    );
+    await write(ARTIFACT_FILES.html, () => page.content());
+    if (recorder) {
+      await write(ARTIFACT_FILES.console, async () =>
+        JSON.stringify(recorder.console, null, 2)
+      );
+      await write(ARTIFACT_FILES.network, async () =>
+        JSON.stringify(recorder.network, null, 2)
+      );
+    }
+
+    const artifacts = {
+      dir,
+      capturedAt: new Date().toISOString(),
+      ...details,
+      files,
+    };
+    await fs.writeFile(
+      path.join(dir, ARTIFACT_FILES.meta),
+      JSON.stringify({ sessionId, urlIndex, ...artifacts }, null, 2)
+    );
+    return artifacts;
+  }
+
+  // Deletes a session's artifacts, and its directory once that is empty
+  async remove(sessionId) {
+    const dir = path.join(this.root, sessionId);
+    await fs.rm(path.join(dir, "artifacts"), { recursive: true, force: true });
+    await fs.rmdir(dir).catch(() => {});
+  }
+
+  // Path of one artifact file, or null when the name is not an artifact
+  fileFor(sessionId, urlIndex, name) {
+    if (!Object.values(ARTIFACT_FILES).includes(name)) return null;
+    return path.join(this.dirFor(sessionId, urlIndex), name);
+  }
+}
+
+module.exports = {
+  ARTIFACT_FILES,
+  ArtifactStore,
+  DEFAULT_ARTIFACTS_ROOT,
+  PageRecorder,
+};
@@ -0,0 +1,162 @@
+// Browser setup shared by the CLI commands and the server
+
+const puppeteer = require("puppeteer");
+
+// For Vercel deployment
+let chromium = null;
+try {
+  chromium = require("chrome-aws-lambda");
+} catch (err) {
+  // chrome-aws-lambda not available in development
+}
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+// Stands for the running Chrome's version in a user agent, so a rotated user
+// agent never claims a different Chrome than the one sending it
+const CHROME_VERSION = "{chromeVersion}";
+
+// User agents and viewports to rotate through; all Chrome on desktop, with
+// the version filled in from the browser (see CHROME_VERSION)
+const DEFAULT_IDENTITIES = [
+  {
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/{chromeVersion} Safari/537.36",
+    viewport: { width: 1920, height: 1080 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/{chromeVersion} Safari/537.36",
+    viewport: { width: 1440, height: 900 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/{chromeVersion} Safari/537.36",
+    viewport: { width: 1536, height: 864 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/{chromeVersion} Safari/537.36",
+    viewport: { width: 1366, height: 768 },
+  },
+  {
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/{chromeVersion} Safari/537.36",
+    viewport: { width: 1680, height: 1050 },
+  },
+];
+
+// A rotation list file: a JSON array of { userAgent, viewport } (or of user
+// agent strings), or one user agent per line
+function parseIdentities(text) {
+  const trimmed = text.trim();
+  const entries = trimmed.startsWith("[")
+    ? JSON.parse(trimmed)
+    : trimmed.split(/\r?\n/).filter((line) => line.trim() !== "");
+
+  const identities = entries.map((entry) =>
+    typeof entry === "string" ? { userAgent: entry.trim() } : entry
+  );
+  if (identities.length === 0) {
+    throw new Error("The user agent list is empty");
+  }
+  identities.forEach((identity, index) => {
+    if (typeof identity.userAgent !== "string" || !identity.userAgent) {
+      throw new Error(`Entry ${index + 1} has no userAgent`);
+    }
+  });
+  return identities;
+}
+
+function proxyArgs(proxy) {
+  return proxy ? [`--proxy-server=${proxy.server}`] : [];
+}
+
+// `proxy` is a parsed proxy (lib/proxies.js) for all of the browser's traffic
+async function launchBrowser({ headless = true, proxy = null } = {}) {
+  return puppeteer.launch({
+    headless: headless,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-blink-features=AutomationControlled",
+      ...proxyArgs(proxy),
+    ],
+  });
+}
+
+// Browsers for the parallel crawler, which also runs on Vercel
+async function launchCrawlBrowser(headless, { proxy = null } = {}) {
+  if (chromium && process.env.NODE_ENV === "production") {
+    // Vercel/AWS Lambda environment
+    return puppeteer.launch({
+      args: [...(await chromium.args), ...proxyArgs(proxy)],
+      defaultViewport: chromium.defaultViewport,
+      executablePath: await chromium.executablePath,
+      headless: chromium.headless,
+    });
+  } else {
+    // Local development
+    return puppeteer.launch({
+      headless: headless,
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-blink-features=AutomationControlled",
+        "--disable-web-security",
+        "--disable-features=VizDisplayCompositor",
+        "--disable-dev-shm-usage",
+        "--no-first-run",
+        "--no-default-browser-check",
+        "--disable-default-apps",
+        "--disable-extensions",
+        "--disable-background-timer-throttling",
+        "--disable-backgrounding-occluded-windows",
+        "--disable-renderer-backgrounding",
+        ...proxyArgs(proxy),
+      ],
+    });
+  }
+}
+
+// A user agent with CHROME_VERSION replaced by the page's browser version,
+// reduced the way Chrome reports it ("124.0.0.0")
+async function resolveUserAgent(userAgent, page) {
+  if (!userAgent.includes(CHROME_VERSION)) return userAgent;
+  const match = (await page.browser().version()).match(/\/(\d+)\./);
+  if (!match) return USER_AGENT;
+  return userAgent.split(CHROME_VERSION).join(`${match[1]}.0.0.0`);
+}
+
+// Opens a page with the user agent and webdriver flag the sites expect.
+// `browser` may also be a browser context; `proxy` is the one the page goes
+// through, to answer its authentication challenge.
+async function newPage(browser, { userAgent = USER_AGENT, proxy = null } = {}) {
+  const page = await browser.newPage();
+
+  if (proxy && proxy.username) {
+    await page.authenticate({
+      username: proxy.username,
+      password: proxy.password,
+    });
+  }
+  await page.setUserAgent(await resolveUserAgent(userAgent, page));
+
+  await page.evaluateOnNewDocument(() => {
+    Object.defineProperty(navigator, "webdriver", {
+      get: () => false,
+    });
+  });
+
+  return page;
+}
+
+module.exports = {
+  DEFAULT_IDENTITIES,
+  USER_AGENT,
+  launchBrowser,
+  launchCrawlBrowser,
+  newPage,
+  parseIdentities,
+};
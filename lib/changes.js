@@ -0,0 +1,180 @@
+// Compares a listing's latest crawl with its previous one and describes what
+// changed as change events: transactions that are new, transactions that are
+// gone, and a median PSF that moved past a threshold.
+
+const crypto = require("crypto");
+const { median, psfOf } = require("./analytics");
+const { transactionKey } = require("./store");
+
+const DEFAULT_PSF_THRESHOLD = 0.05;
+
+const CHANGE_TYPES = [
+  "new_transactions",
+  "removed_transactions",
+  "median_psf_shift",
+];
+
+// Key -> transactions with that key; identical rows are counted, not merged
+function groupByKey(transactions) {
+  const groups = new Map();
+  transactions.forEach((transaction) => {
+    const key = transactionKey(transaction);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transaction);
+  });
+  return groups;
+}
+
+// Transactions of `a` that `b` does not have (as many times)
+function missingFrom(a, b) {
+  const missing = [];
+  a.forEach((transactions, key) => {
+    const count = (b.get(key) || []).length;
+    missing.push(...transactions.slice(count));
+  });
+  return missing;
+}
+
+function medianPsf(transactions) {
+  return median(transactions.map(psfOf).filter(Boolean));
+}
+
+// Comparing the same crawls always gives a change the same id, so webhook
+// receivers can drop a change delivered twice
+function changeId(change) {
+  const content = change.transactions
+    ? change.transactions.map(transactionKey)
+    : [change.previousMedianPsf, change.medianPsf];
+  return crypto
+    .createHash("sha1")
+    .update(
+      JSON.stringify([
+        change.type,
+        change.url,
+        change.previousScrapedAt,
+        change.scrapedAt,
+        content,
+      ])
+    )
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function withIds(changes) {
+  return changes.map((change) => ({ id: changeId(change), ...change }));
+}
+
+// A result that only holds part of the listing's history: incremental and
+// cancelled crawls. Removals and the median can't be judged from those.
+function isPartial(result) {
+  return Boolean(result.incremental || result.cancelled || result.incomplete);
+}
+
+// `previous` and `current` are crawl results of the same listing ({ url,
+// transactions, ... }). Returns change events, empty when nothing changed.
+function detectChanges(previous, current, options = {}) {
+  const threshold = options.psfThreshold ?? DEFAULT_PSF_THRESHOLD;
+  const before = previous.transactions || [];
+  const after = current.transactions || [];
+  const beforeKeys = groupByKey(before);
+  const afterKeys = groupByKey(after);
+  const base = {
+    url: current.url,
+    detectedAt: new Date().toISOString(),
+    previousScrapedAt: previous.scrapedAt || null,
+    scrapedAt: current.scrapedAt || null,
+  };
+  const changes = [];
+
+  const added = missingFrom(afterKeys, beforeKeys);
+  if (added.length > 0) {
+    changes.push({
+      type: "new_transactions",
+      ...base,
+      count: added.length,
+      transactions: added,
+    });
+  }
+
+  if (isPartial(previous) || isPartial(current)) {
+    return withIds(changes);
+  }
+
+  const removed = missingFrom(beforeKeys, afterKeys);
+  if (removed.length > 0) {
+    changes.push({
+      type: "removed_transactions",
+      ...base,
+      count: removed.length,
+      transactions: removed,
+    });
+  }
+
+  const previousMedian = medianPsf(before);
+  const currentMedian = medianPsf(after);
+  if (previousMedian && currentMedian) {
+    const change = (currentMedian - previousMedian) / previousMedian;
+    if (Math.abs(change) >= threshold) {
+      changes.push({
+        type: "median_psf_shift",
+        ...base,
+        previousMedianPsf: Math.round(previousMedian),
+        medianPsf: Math.round(currentMedian),
+        changePercent: Math.round(change * 1000) / 10,
+        thresholdPercent: threshold * 100,
+      });
+    }
+  }
+
+  return withIds(changes);
+}
+
+// Crawl results keyed by URL, from a price-history output, a bulk session
+// file or flat rows (NDJSON/CSV exports, grouped by sourceUrl)
+function resultsByUrl(payload) {
+  const results = new Map();
+
+  if (Array.isArray(payload)) {
+    payload.forEach((row) => {
+      const url = row.sourceUrl || row.url;
+      if (!results.has(url)) results.set(url, { url, transactions: [] });
+      results.get(url).transactions.push(row);
+    });
+  } else if (Array.isArray(payload.results)) {
+    payload.results
+      .filter((result) => result.success && result.data)
+      .forEach((result) => results.set(result.url, result.data));
+  } else if (Array.isArray(payload.transactions)) {
+    results.set(payload.url, payload);
+  }
+
+  return results;
+}
+
+// One line per change, for logs and chat messages
+function describeChange(change) {
+  const plural = change.count === 1 ? "" : "s";
+  switch (change.type) {
+    case "new_transactions":
+      return `${change.count} new transaction${plural} for ${change.url}`;
+    case "removed_transactions":
+      return `${change.count} transaction${plural} no longer listed for ${change.url}`;
+    case "median_psf_shift": {
+      const direction = change.changePercent > 0 ? "up" : "down";
+      const from = change.previousMedianPsf.toLocaleString();
+      const to = change.medianPsf.toLocaleString();
+      return `Median PSF ${direction} ${Math.abs(change.changePercent)}% (${from} → ${to}) for ${change.url}`;
+    }
+    default:
+      return `${change.type} for ${change.url}`;
+  }
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  DEFAULT_PSF_THRESHOLD,
+  describeChange,
+  detectChanges,
+  isPartial,
+  resultsByUrl,
+};
@@ -0,0 +1,145 @@
+// Minimal cron expressions for watchlist schedules: the five standard fields
+// (minute hour day-of-month month day-of-week) with *, lists, ranges and
+// steps, plus the @hourly/@daily/@weekly/@monthly shorthands. Times are the
+// server's local time.
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+// Gives up looking for the next run this far ahead: enough for leap-day
+// schedules, while dates that never exist (February 30) return null
+const MAX_LOOKAHEAD_YEARS = 5;
+
+function parseNumber(text, field) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value "${text}"`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} must be between ${field.min} and ${field.max}, got ${value}`
+    );
+  }
+  return value;
+}
+
+// "1-5", "*/15", "0,30", "10-40/10" -> Set of allowed values
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseNumber(from, field);
+      end = parseNumber(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseNumber(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const fields = (MACROS[text] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(
+      `Cron expression "${text}" needs 5 fields (minute hour day month weekday)`
+    );
+  }
+
+  const schedule = { expression: text };
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(fields[index], field);
+    schedule[`${field.name}Any`] = fields[index] === "*";
+  });
+
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+  return schedule;
+}
+
+// When both day fields are restricted, either one matching is enough
+function dayMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.dayOfMonthAny || schedule.dayOfWeekAny) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+function matches(schedule, date) {
+  return (
+    schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1) &&
+    dayMatches(schedule, date)
+  );
+}
+
+// First matching minute strictly after `from`, or null. Skips whole months,
+// days and hours that can't match instead of testing every minute.
+function nextRun(schedule, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date < limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  matches,
+  nextRun,
+  parseCron,
+};
@@ -0,0 +1,238 @@
+// Discovery of listing URLs from a PropertyGuru search-results page (district,
+// project, price-range searches...). Walks the result pages, reads the basic
+// data off each listing card and optionally keeps one listing per project,
+// since listings in the same project share one price history.
+
+const fs = require("fs").promises;
+const {
+  parseAmount,
+  parseBedrooms,
+  parseCurrency,
+  parseSize,
+} = require("./normalize");
+const { parseCsv } = require("./analytics");
+
+// Several selectors per field: the card markup differs between the regular,
+// featured and older card layouts
+const CARD_SELECTORS = {
+  card: [
+    '[da-id^="parent-listing-card"]',
+    "[data-listing-id]",
+    ".listing-card",
+  ],
+  link: [
+    'a[da-id="listing-card-v2-link"]',
+    'a[href*="/listing/"]',
+    "a.nav-link",
+  ],
+  title: [
+    '[da-id="listing-card-v2-headline"]',
+    '[da-id="listing-card-v2-title"]',
+    ".listing-card-title",
+    "h3",
+  ],
+  project: [
+    '[da-id="listing-card-v2-title"]',
+    '[da-id="listing-card-v2-project"]',
+    ".listing-card-project",
+  ],
+  address: [
+    '[da-id="listing-card-v2-address"]',
+    ".listing-location",
+  ],
+  price: ['[da-id="listing-card-v2-price"]', ".listing-price", ".price"],
+  bedrooms: ['[da-id="listing-card-v2-bedroom"]', ".bed"],
+  size: ['[da-id="listing-card-v2-area"]', ".floorarea"],
+};
+
+const NEXT_BUTTON = '[da-id="hui-pagination-btn-next"]';
+
+// Runs in the browser: one raw record per listing card on the current page
+function extractCards(selectors) {
+  const first = (root, list) => {
+    for (const selector of list) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  const text = (root, list) => first(root, list)?.textContent?.trim() || null;
+
+  let cards = [];
+  for (const selector of selectors.card) {
+    cards = Array.from(document.querySelectorAll(selector));
+    if (cards.length > 0) break;
+  }
+
+  return cards
+    .map((card) => {
+      const link = first(card, selectors.link);
+      if (!link || !link.href) return null;
+
+      const url = new URL(link.href, location.href);
+      url.search = "";
+      url.hash = "";
+      const idMatch = url.pathname.match(/-(\d+)\/?$/);
+
+      return {
+        url: url.toString(),
+        listingId:
+          card.getAttribute("data-listing-id") ||
+          (idMatch ? idMatch[1] : null),
+        title: text(card, selectors.title) || link.textContent.trim() || null,
+        projectName: text(card, selectors.project),
+        address: text(card, selectors.address),
+        price: text(card, selectors.price),
+        bedrooms: text(card, selectors.bedrooms),
+        size: text(card, selectors.size),
+      };
+    })
+    .filter(Boolean);
+}
+
+function normalizeCard(card, searchPage) {
+  const size = parseSize(card.size);
+  return {
+    ...card,
+    searchPage,
+    currency: parseCurrency(card.price),
+    priceValue: parseAmount(card.price),
+    bedroomCount: parseBedrooms(card.bedrooms),
+    sizeSqft: size ? size.sqft : null,
+    sizeSqm: size ? size.sqm : null,
+  };
+}
+
+function projectKey(listing) {
+  const name = listing.projectName || listing.title;
+  return name ? name.toLowerCase().replace(/\s+/g, " ").trim() : listing.url;
+}
+
+// Keeps the first listing seen for each project; the kept listing records
+// how many listings the project had on the result pages
+function dedupeByProject(listings) {
+  const byProject = new Map();
+  listings.forEach((listing) => {
+    const key = projectKey(listing);
+    const kept = byProject.get(key);
+    if (kept) {
+      kept.projectListingCount++;
+    } else {
+      byProject.set(key, { ...listing, projectListingCount: 1 });
+    }
+  });
+  return Array.from(byProject.values());
+}
+
+// Walks the search results starting at `searchUrl` in an already prepared
+// page. `onPage({ page, found, total })` is called after each result page.
+async function discoverListings(page, searchUrl, options = {}) {
+  const maxPages = options.maxPages || Infinity;
+  const delay = options.delay ?? 2000;
+  const timeout = options.timeout || 60000;
+  const onPage = options.onPage || (() => {});
+
+  const seen = new Set();
+  const listings = [];
+  let currentPage = 1;
+
+  await page.goto(searchUrl, { waitUntil: "networkidle2", timeout });
+
+  while (true) {
+    await page
+      .waitForSelector(CARD_SELECTORS.card.join(", "), { timeout: 10000 })
+      .catch(() => {});
+
+    const cards = await page.evaluate(extractCards, CARD_SELECTORS);
+    const fresh = cards.filter((card) => !seen.has(card.url));
+    fresh.forEach((card) => {
+      seen.add(card.url);
+      listings.push(normalizeCard(card, currentPage));
+    });
+
+    await onPage({
+      page: currentPage,
+      found: fresh.length,
+      total: listings.length,
+    });
+
+    // A page with nothing new means pagination is looping or came up empty
+    if (fresh.length === 0 || currentPage >= maxPages) break;
+
+    const next = await page.evaluate((selector) => {
+      const button = document.querySelector(selector);
+      if (!button) return null;
+      const item = button.closest("li");
+      if (item && item.classList.contains("disabled")) return null;
+      const link = button.closest("a");
+      return { href: link ? link.href : null };
+    }, NEXT_BUTTON);
+
+    if (!next) break;
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    // Result pages are real links; fall back to clicking for script-driven
+    // pagination
+    if (next.href) {
+      await page.goto(next.href, { waitUntil: "networkidle2", timeout });
+    } else {
+      await page.click(NEXT_BUTTON);
+      await page.waitForNetworkIdle({ timeout: 5000 }).catch(() => {});
+    }
+    currentPage++;
+  }
+
+  return { listings, totalPages: currentPage };
+}
+
+// The saved/returned shape of a discovery run
+function buildDiscovery(searchUrl, discovered, { dedupe = true } = {}) {
+  const listings = dedupe
+    ? dedupeByProject(discovered.listings)
+    : discovered.listings;
+
+  return {
+    searchUrl,
+    discoveredAt: new Date().toISOString(),
+    totalPages: discovered.totalPages,
+    totalListings: discovered.listings.length,
+    totalProjects: new Set(discovered.listings.map(projectKey)).size,
+    dedupedByProject: dedupe,
+    urls: listings.map((listing) => listing.url),
+    listings,
+  };
+}
+
+// One URL per line, the format the UI textarea expects
+async function writeUrlList(file, urls) {
+  await fs.writeFile(file, urls.join("\n") + "\n");
+}
+
+// Reads back a URL list, or a CSV with a url column such as a discovery
+// export. Blank lines, comments and anything else that isn't a URL are skipped.
+function parseUrlList(text) {
+  const firstLine = text.trimStart().split(/\r?\n/)[0];
+  const column = /^https?:\/\//i.test(firstLine)
+    ? null
+    : firstLine
+        .split(",")
+        .map((name) => name.replace(/"/g, "").trim())
+        .find((name) => name.toLowerCase() === "url");
+
+  const values = column
+    ? parseCsv(text.trimStart()).map((row) => row[column] || "")
+    : text.split(/\r?\n/);
+  return values
+    .map((url) => url.trim())
+    .filter((url) => /^https?:\/\//i.test(url));
+}
+
+module.exports = {
+  CARD_SELECTORS,
+  buildDiscovery,
+  dedupeByProject,
+  discoverListings,
+  parseUrlList,
+  writeUrlList,
+};
@@ -0,0 +1,202 @@
+// Failure classification and retry policies for listing crawls. Every failed
+// attempt is mapped to one failure class, and each class decides whether and
+// how quickly the URL is retried.
+
+const FAILURE_CLASSES = {
+  TIMEOUT: "timeout",
+  NAVIGATION: "navigation_error",
+  BLOCKED: "blocked",
+  REMOVED: "listing_removed",
+  NO_PRICE_HISTORY: "no_price_history",
+  EXTRACTION: "extraction_error",
+};
+
+// Removed listings and listings without a price history section will look
+// the same on the next attempt, so they are not retried
+const RETRY_POLICIES = {
+  [FAILURE_CLASSES.TIMEOUT]: {
+    maxAttempts: 3,
+    baseDelay: 2000,
+    factor: 2,
+    maxDelay: 30000,
+  },
+  [FAILURE_CLASSES.NAVIGATION]: {
+    maxAttempts: 3,
+    baseDelay: 2000,
+    factor: 2,
+    maxDelay: 30000,
+  },
+  [FAILURE_CLASSES.BLOCKED]: {
+    maxAttempts: 2,
+    baseDelay: 30000,
+    factor: 2,
+    maxDelay: 120000,
+  },
+  [FAILURE_CLASSES.REMOVED]: { maxAttempts: 1 },
+  [FAILURE_CLASSES.NO_PRICE_HISTORY]: { maxAttempts: 1 },
+  [FAILURE_CLASSES.EXTRACTION]: {
+    maxAttempts: 2,
+    baseDelay: 1000,
+    factor: 2,
+    maxDelay: 10000,
+  },
+};
+
+const BLOCKED_TEXT =
+  /captcha|verify you are (a )?human|are you a robot|unusual traffic|access denied|just a moment|attention required|request blocked/i;
+
+const REMOVED_TEXT =
+  /listing (is )?no longer available|listing has been removed|page not found|this page (does not|doesn't) exist/i;
+
+class CrawlError extends Error {
+  constructor(message, failureClass, details = {}) {
+    super(message);
+    this.name = "CrawlError";
+    this.failureClass = failureClass;
+    this.details = details;
+  }
+}
+
+// `phase` is where the attempt was when it failed, so a generic exception
+// while reading rows counts as an extraction error rather than navigation
+function classifyError(error, phase = "navigation") {
+  if (error instanceof CrawlError) return error.failureClass;
+
+  const message = error.message || "";
+  if (error.name === "TimeoutError" || /timeout|timed out/i.test(message)) {
+    return FAILURE_CLASSES.TIMEOUT;
+  }
+  if (
+    /net::ERR_|Navigation failed|Protocol error|Target closed/i.test(message)
+  ) {
+    return FAILURE_CLASSES.NAVIGATION;
+  }
+  return phase === "scraping"
+    ? FAILURE_CLASSES.EXTRACTION
+    : FAILURE_CLASSES.NAVIGATION;
+}
+
+function getRetryPolicy(failureClass, overrides = {}) {
+  return {
+    maxAttempts: 1,
+    baseDelay: 0,
+    factor: 2,
+    maxDelay: 0,
+    ...RETRY_POLICIES[failureClass],
+    ...overrides[failureClass],
+  };
+}
+
+// Exponential backoff with up to 20% jitter; `attempt` is the attempt that
+// just failed (1-based)
+function backoffDelay(policy, attempt) {
+  const delay = Math.min(
+    policy.baseDelay * policy.factor ** (attempt - 1),
+    policy.maxDelay || Infinity
+  );
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+function listingIdOf(url) {
+  const match = (url || "").split("#")[0].match(/(\d{5,})\/?$/);
+  return match ? match[1] : null;
+}
+
+// Inspects the loaded page for the failure modes that still return a page:
+// block/captcha walls, 404s and redirects away from the listing
+async function detectPageProblem(page, response, requestedUrl) {
+  const status = response ? response.status() : null;
+
+  if (status === 403 || status === 429) {
+    return new CrawlError(
+      `Blocked by the site (HTTP ${status})`,
+      FAILURE_CLASSES.BLOCKED,
+      { status }
+    );
+  }
+  if (status === 404 || status === 410) {
+    return new CrawlError(
+      `Listing not found (HTTP ${status})`,
+      FAILURE_CLASSES.REMOVED,
+      { status }
+    );
+  }
+
+  const pageInfo = await page.evaluate(() => ({
+    title: document.title || "",
+    text: (document.body?.innerText || "").slice(0, 2000),
+    hasChallenge: Boolean(
+      document.querySelector(
+        '#challenge-form, .cf-browser-verification, iframe[src*="captcha"], .g-recaptcha, #px-captcha'
+      )
+    ),
+  }));
+
+  if (
+    pageInfo.hasChallenge ||
+    BLOCKED_TEXT.test(pageInfo.title) ||
+    BLOCKED_TEXT.test(pageInfo.text.slice(0, 500))
+  ) {
+    return new CrawlError(
+      `Blocked or captcha page: "${pageInfo.title}"`,
+      FAILURE_CLASSES.BLOCKED,
+      { status, title: pageInfo.title }
+    );
+  }
+
+  const listingId = listingIdOf(requestedUrl);
+  const finalUrl = page.url();
+  if (listingId && !finalUrl.includes(listingId)) {
+    return new CrawlError(
+      `Redirected away from the listing to ${finalUrl}`,
+      FAILURE_CLASSES.REMOVED,
+      { status, finalUrl }
+    );
+  }
+  if (REMOVED_TEXT.test(pageInfo.title) || REMOVED_TEXT.test(pageInfo.text)) {
+    return new CrawlError(
+      "Listing is no longer available",
+      FAILURE_CLASSES.REMOVED,
+      { status, title: pageInfo.title }
+    );
+  }
+
+  return null;
+}
+
+function isRetryable(failureClass) {
+  return getRetryPolicy(failureClass).maxAttempts > 1;
+}
+
+// Groups failed per-URL results by failure class. Cancelled URLs are not
+// failures and are left out.
+function summarizeFailures(results) {
+  const summary = {};
+  results
+    .filter((result) => !result.success && !result.cancelled)
+    .forEach((result) => {
+      const failureClass = result.failureClass || FAILURE_CLASSES.NAVIGATION;
+      if (!summary[failureClass]) {
+        summary[failureClass] = {
+          retryable: isRetryable(failureClass),
+          count: 0,
+          urls: [],
+        };
+      }
+      summary[failureClass].count++;
+      summary[failureClass].urls.push(result.url);
+    });
+  return summary;
+}
+
+module.exports = {
+  CrawlError,
+  FAILURE_CLASSES,
+  RETRY_POLICIES,
+  backoffDelay,
+  classifyError,
+  detectPageProblem,
+  getRetryPolicy,
+  isRetryable,
+  summarizeFailures,
+};
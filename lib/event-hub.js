@@ -0,0 +1,72 @@
+// Numbered, replayable SSE stream for one crawl session. Every event is kept
+// in memory with an increasing id, so any number of viewers can attach at
+// any time and a reconnecting EventSource (which sends Last-Event-ID) only
+// receives what it missed. A finished stream ends with an `end` event, which
+// tells EventSource clients to stop reconnecting.
+
+const HEARTBEAT_INTERVAL = 15000;
+
+function writeSse(res, event) {
+  if (!res.writableEnded && !res.destroyed) {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+}
+
+function endSse(res) {
+  if (!res.writableEnded && !res.destroyed) {
+    res.end("event: end\ndata: {}\n\n");
+  }
+}
+
+class EventHub {
+  constructor() {
+    this.events = [];
+    this.nextId = 1;
+    this.clients = new Set();
+    this.closed = false;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((res) => {
+        if (!res.writableEnded && !res.destroyed) res.write(": ping\n\n");
+      });
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  get lastEventId() {
+    return this.nextId - 1;
+  }
+
+  publish(data) {
+    const event = { id: this.nextId++, data };
+    this.events.push(event);
+    this.clients.forEach((res) => writeSse(res, event));
+    return event.id;
+  }
+
+  // Replays everything after `lastEventId`, then streams live events until
+  // the session closes or the client goes away
+  attach(res, lastEventId = 0) {
+    this.events
+      .filter((event) => event.id > lastEventId)
+      .forEach((event) => writeSse(res, event));
+
+    if (this.closed) {
+      endSse(res);
+      return;
+    }
+
+    this.clients.add(res);
+    res.on("close", () => this.clients.delete(res));
+  }
+
+  close() {
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    this.clients.forEach(endSse);
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  EventHub,
+};
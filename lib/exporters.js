@@ -0,0 +1,207 @@
+// Output writers for crawl results. JSON keeps the nested result shape; the
+// tabular formats (CSV, NDJSON, XLSX) flatten it to one row per record.
+
+const fs = require("fs").promises;
+const path = require("path");
+
+// Bulk results nest transactions under results[].data, single crawls keep
+// them at the top level, and `crawl` produces `elements`
+function toRows(payload) {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+
+  if (Array.isArray(payload.results)) {
+    const rows = [];
+    payload.results.forEach((result) => {
+      const data = result.data || {};
+      (data.transactions || []).forEach((transaction) => {
+        rows.push({ sourceUrl: result.url, ...transaction });
+      });
+    });
+    return rows;
+  }
+
+  if (Array.isArray(payload.transactions)) {
+    return payload.transactions.map((transaction) => ({
+      sourceUrl: payload.url,
+      ...transaction,
+    }));
+  }
+
+  if (Array.isArray(payload.listings)) {
+    return payload.listings.map((listing) => ({
+      searchUrl: payload.searchUrl,
+      ...listing,
+    }));
+  }
+
+  if (Array.isArray(payload.rows)) {
+    return payload.rows.map((row) => ({ sourceUrl: payload.url, ...row }));
+  }
+
+  if (Array.isArray(payload.elements)) {
+    return payload.elements.map((element) => ({
+      sourceUrl: payload.url,
+      ...element,
+    }));
+  }
+
+  return [];
+}
+
+// Union of keys across rows, in first-seen order
+function getColumns(rows) {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+function toCell(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (typeof item === "object" ? JSON.stringify(item) : item))
+      .join("; ");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function escapeCsv(value) {
+  const text = String(toCell(value));
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+const exporters = {
+  json: {
+    extension: ".json",
+    contentType: "application/json",
+    async serialize(payload) {
+      return JSON.stringify(payload, null, 2);
+    },
+  },
+
+  csv: {
+    extension: ".csv",
+    contentType: "text/csv; charset=utf-8",
+    async serialize(payload) {
+      const rows = toRows(payload);
+      const columns = getColumns(rows);
+      const lines = [columns.map(escapeCsv).join(",")];
+      rows.forEach((row) => {
+        lines.push(columns.map((column) => escapeCsv(row[column])).join(","));
+      });
+      return lines.join("\n") + "\n";
+    },
+  },
+
+  ndjson: {
+    extension: ".ndjson",
+    contentType: "application/x-ndjson",
+    async serialize(payload) {
+      return toRows(payload)
+        .map((row) => JSON.stringify(row) + "\n")
+        .join("");
+    },
+  },
+
+  xlsx: {
+    extension: ".xlsx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    async serialize(payload) {
+      const ExcelJS = require("exceljs");
+      const rows = toRows(payload);
+      const columns = getColumns(rows);
+
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet("Transactions");
+      sheet.columns = columns.map((column) => ({
+        header: column,
+        key: column,
+        width: Math.min(Math.max(column.length + 2, 12), 60),
+      }));
+      rows.forEach((row) => {
+        const cells = {};
+        columns.forEach((column) => {
+          cells[column] = toCell(row[column]);
+        });
+        sheet.addRow(cells);
+      });
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+      return Buffer.from(await workbook.xlsx.writeBuffer());
+    },
+  },
+};
+
+const FORMATS = Object.keys(exporters);
+
+function getExporter(format) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(
+      `Unsupported format "${format}" (expected one of: ${FORMATS.join(", ")})`
+    );
+  }
+  return exporter;
+}
+
+function formatFromFile(file) {
+  if (!file) return null;
+  const extension = path.extname(file).toLowerCase();
+  return FORMATS.find((format) => exporters[format].extension === extension);
+}
+
+// The format comes from `format` or else the file extension; JSON is the
+// fallback. A format that contradicts a known extension is an error, rather
+// than, say, CSV written to out.xlsx.
+function resolveOutput(file, format, defaultName = "output") {
+  const fileFormat = formatFromFile(file);
+  const resolvedFormat = format ? format.toLowerCase() : fileFormat || "json";
+  const exporter = getExporter(resolvedFormat);
+  if (fileFormat && fileFormat !== resolvedFormat) {
+    throw new Error(
+      `Format "${resolvedFormat}" does not match the ${path.extname(
+        file
+      )} extension of ${file}`
+    );
+  }
+  return {
+    format: resolvedFormat,
+    file: file || `${defaultName}${exporter.extension}`,
+  };
+}
+
+async function serialize(payload, format) {
+  return getExporter(format).serialize(payload);
+}
+
+async function writeExport(payload, file, format) {
+  const resolved = resolveOutput(file, format);
+  await fs.writeFile(resolved.file, await serialize(payload, resolved.format));
+  return resolved;
+}
+
+module.exports = {
+  FORMATS,
+  formatFromFile,
+  getExporter,
+  resolveOutput,
+  serialize,
+  toRows,
+  writeExport,
+};
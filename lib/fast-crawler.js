@@ -0,0 +1,698 @@
+// Parallel crawler for lists of listing URLs, shared by the server and the
+// `bulk` command. Progress events go to `options.onProgress(sessionId, data)`.
+
+const { launchCrawlBrowser, newPage } = require("./browser");
+const { extractListing } = require("./listing");
+const {
+  describeExtraction,
+  goToNextPage,
+  nextPageState,
+  readTablePage,
+  startCapture,
+} = require("./web-crawler");
+const { adapterTags, findAdapter, getAdapter } = require("./adapters");
+const { createPageFilter, loadKnownKeys } = require("./incremental");
+const { checkHealth } = require("./health");
+const { PageRecorder } = require("./artifacts");
+const {
+  CrawlTimer,
+  applyProfile,
+  getProfile,
+  paginationFor,
+} = require("./profiles");
+const {
+  CrawlError,
+  FAILURE_CLASSES,
+  backoffDelay,
+  classifyError,
+  detectPageProblem,
+  getRetryPolicy,
+} = require("./errors");
+const { HostRateLimiter, sleep } = require("./rate-limiter");
+const { WorkQueue } = require("./work-queue");
+
+class FastCrawler {
+  constructor(options = {}) {
+    // Maximum pages in flight; each worker keeps one page open at a time
+    this.concurrency = options.concurrency || 3;
+    this.browserCount = Math.min(
+      options.browsers || this.concurrency,
+      this.concurrency
+    );
+    // Resource blocking, viewport, waits and default delays (see profiles.js)
+    this.profile = getProfile(options.profile);
+    this.rateLimiter = new HostRateLimiter({
+      requestsPerMinute: options.requestsPerMinute,
+      minDelay: options.minDelay ?? this.profile.minDelay,
+      jitter: options.jitter ?? this.profile.jitter,
+    });
+    this.headless = options.headless !== false;
+    this.timeout = options.timeout || 30000;
+    this.retryPolicies = options.retryPolicies || {};
+    this.store = options.store || null;
+    this.queue = null;
+    this.cancelled = false;
+    this.since = options.since || null;
+    this.incremental = Boolean(options.incremental && this.store);
+    this.listing = Boolean(options.listing);
+    // One of EXTRACTION_MODES
+    this.extraction = options.extraction || "auto";
+    // SnapshotArchive for each page's rendered HTML, or null
+    this.archive = options.archive || null;
+    // ArtifactStore for debug artifacts of failed attempts, or null
+    this.artifacts = options.artifacts || null;
+    // Required-field fill rate below which a listing's health is degraded
+    this.minFillRate = options.minFillRate;
+    // Recorded as the crawl source in the transaction store
+    this.source = options.source || "server";
+    this.onProgress = options.onProgress || null;
+    // ProxyPool and { userAgent, viewport } list to rotate through, per
+    // "page" (each attempt) or per "browser" (until its proxy is retired)
+    this.proxyPool = options.proxyPool || null;
+    this.identities = options.identities || null;
+    this.rotation = options.rotation || "page";
+    this.identityCursor = 0;
+    // Attempts, successes and blocks per proxy id, and blocked attempts
+    // overall, for the session summary
+    this.proxyUsage = new Map();
+    this.blockedAttempts = 0;
+    this.browsers = [];
+    // The proxy and identity of each browser, and the proxy it was launched
+    // with
+    this.assignments = [];
+  }
+
+  async initBrowsers() {
+    console.log(`Initializing ${this.browserCount} browser instances...`);
+
+    for (let i = 0; i < this.browserCount; i++) {
+      const perBrowser = this.rotation === "browser";
+      const proxy =
+        perBrowser && this.proxyPool ? this.proxyPool.acquire() : null;
+      const assignment = {
+        proxy,
+        identity: perBrowser ? this.nextIdentity() : null,
+        launchedWith: proxy,
+      };
+      this.browsers.push(await launchCrawlBrowser(this.headless, { proxy }));
+      this.assignments.push(assignment);
+    }
+  }
+
+  nextIdentity() {
+    if (!this.identities) return null;
+    return this.identities[this.identityCursor++ % this.identities.length];
+  }
+
+  // A page with its browser's proxy and identity or, rotating per page, the
+  // next ones. A browser whose proxy was retired after a block moves to the
+  // next proxy. A proxy other than the one the browser was launched with
+  // needs a browser context of its own.
+  async openPage(browserIndex) {
+    const assignment = this.assignments[browserIndex] || {};
+    let { proxy, identity } = assignment;
+    if (this.rotation === "page") {
+      proxy = this.proxyPool ? this.proxyPool.acquire() : null;
+      identity = this.nextIdentity();
+    } else if (proxy && this.proxyPool.isRetired(proxy)) {
+      proxy = assignment.proxy = this.proxyPool.acquire();
+    }
+
+    let context = null;
+    if (proxy && proxy !== assignment.launchedWith) {
+      context = await this.browsers[browserIndex].createBrowserContext({
+        proxyServer: proxy.server,
+      });
+    }
+
+    const page = await newPage(context || this.browsers[browserIndex], {
+      userAgent: identity ? identity.userAgent : undefined,
+      proxy,
+    });
+    return { page, context, proxy, identity };
+  }
+
+  recordProxy(proxy, outcome) {
+    if (outcome === "blocked") this.blockedAttempts++;
+    if (!proxy) return;
+
+    this.proxyPool.record(proxy, outcome);
+    const usage = this.proxyUsage.get(proxy.id) || {
+      requests: 0,
+      successes: 0,
+      blocks: 0,
+    };
+    usage.requests++;
+    if (outcome === "success") usage.successes++;
+    if (outcome === "blocked") usage.blocks++;
+    this.proxyUsage.set(proxy.id, usage);
+  }
+
+  // Proxy usage and block counts for the session summary
+  proxySummary() {
+    const status = this.proxyPool ? this.proxyPool.status() : [];
+    return {
+      rotation: this.proxyPool || this.identities ? this.rotation : null,
+      blockedAttempts: this.blockedAttempts,
+      proxies: status.map((entry) => ({
+        ...entry,
+        ...(this.proxyUsage.get(entry.proxy) || {
+          requests: 0,
+          successes: 0,
+          blocks: 0,
+        }),
+      })),
+    };
+  }
+
+  // Crawls one listing, retrying failed attempts according to the retry
+  // policy of their failure class
+  async crawlPropertyGuru(
+    url,
+    sessionId,
+    urlIndex,
+    totalUrls,
+    workerIndex = urlIndex
+  ) {
+    const adapter = findAdapter(url);
+    const tags = adapter ? adapterTags(adapter) : {};
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+
+      try {
+        const result = await this.crawlAttempt(
+          url,
+          sessionId,
+          urlIndex,
+          totalUrls,
+          workerIndex,
+          attempt
+        );
+        result.attempts = attempt;
+        return result;
+      } catch (error) {
+        if (this.cancelled) {
+          return {
+            url,
+            ...tags,
+            cancelled: true,
+            attempts: attempt,
+            transactions: [],
+          };
+        }
+
+        const failureClass = classifyError(error);
+        const policy = getRetryPolicy(failureClass, this.retryPolicies);
+        const progress = {
+          urlIndex,
+          totalUrls,
+          url,
+          failureClass,
+          attempt,
+          maxAttempts: policy.maxAttempts,
+          error: error.message,
+        };
+        if (error.artifacts) {
+          progress.artifacts = error.artifacts;
+        }
+
+        if (attempt < policy.maxAttempts) {
+          const delay = backoffDelay(policy, attempt);
+          const seconds = Math.round(delay / 1000);
+          this.emitProgress(sessionId, {
+            ...progress,
+            status: "retrying",
+            message: `${error.message} (retrying in ${seconds}s)`,
+          });
+          await sleep(delay);
+          continue;
+        }
+
+        this.emitProgress(sessionId, {
+          ...progress,
+          status: "error",
+          message: error.message,
+        });
+
+        const result = {
+          url,
+          ...tags,
+          error: error.message,
+          failureClass,
+          attempts: attempt,
+          transactions: [],
+        };
+        if (error.artifacts) {
+          result.artifacts = error.artifacts;
+        }
+        if (error.proxy) {
+          result.proxy = error.proxy;
+        }
+        return result;
+      }
+    }
+  }
+
+  async crawlAttempt(
+    url,
+    sessionId,
+    urlIndex,
+    totalUrls,
+    workerIndex,
+    attempt
+  ) {
+    const browserIndex = workerIndex % this.browsers.length;
+    const browser = this.browsers[browserIndex];
+
+    if (!browser) {
+      throw new Error("Browser not available");
+    }
+
+    const adapter = getAdapter(url);
+    const schema = adapter.schema;
+    const pagination = paginationFor(schema.pagination, this.profile);
+    const { page, context, proxy, identity } = await this.openPage(
+      browserIndex
+    );
+    const recorder = this.artifacts ? new PageRecorder(page).start() : null;
+    const capture = startCapture(page, schema, {
+      enabled: this.extraction !== "dom",
+      areaUnit: adapter.areaUnit,
+      hosts: adapter.hosts,
+    });
+    const sources = { network: 0, dom: 0 };
+    const snapshots = this.archive
+      ? this.archive.startCrawl(url, { adapter: adapter.id })
+      : null;
+    let phase = "navigation";
+    let allTransactions = [];
+    let currentPage = 1;
+    let listing = null;
+
+    try {
+      const knownKeys = this.incremental
+        ? await loadKnownKeys(url, { store: this.store })
+        : null;
+      const pageFilter = createPageFilter({ since: this.since, knownKeys });
+
+      // Emit progress update
+      this.emitProgress(sessionId, {
+        urlIndex,
+        totalUrls,
+        status: "starting",
+        url,
+        attempt,
+        message:
+          attempt > 1
+            ? `Navigating to page (attempt ${attempt})...`
+            : "Navigating to page...",
+      });
+
+      await applyProfile(page, this.profile, {
+        assetHosts: adapter.assetHosts,
+      });
+      if (identity && identity.viewport) {
+        await page.setViewport(identity.viewport);
+      }
+
+      await this.rateLimiter.wait(url);
+      await this.checkpoint();
+
+      const timer = new CrawlTimer();
+      const response = await adapter.navigate(page, url, {
+        timeout: this.timeout,
+        waitUntil: this.profile.waitUntil,
+      });
+
+      const problem = await detectPageProblem(page, response, url);
+      if (problem) {
+        throw problem;
+      }
+      timer.record("navigation");
+      phase = "loading";
+
+      this.emitProgress(sessionId, {
+        urlIndex,
+        totalUrls,
+        status: "loading",
+        url,
+        message: "Waiting for content...",
+      });
+
+      await adapter.waitUntilReady(page, { wait: this.profile.readyWait });
+
+      if (this.listing) {
+        listing = await extractListing(page, url, {
+          currency: adapter.currency,
+        });
+      }
+
+      // Check for price history table; with listing details requested, a
+      // listing without history is still a result
+      let hasHistory = true;
+      try {
+        await page.waitForSelector(schema.waitFor, { timeout: 10000 });
+      } catch (err) {
+        if (!listing) {
+          throw new CrawlError(
+            "No price history table found",
+            FAILURE_CLASSES.NO_PRICE_HISTORY
+          );
+        }
+        hasHistory = false;
+        currentPage = 0;
+      }
+
+      // Remove filters if any
+      await adapter.clearFilters(page);
+      if (hasHistory) {
+        timer.record("tableReady");
+      }
+
+      this.emitProgress(sessionId, {
+        urlIndex,
+        totalUrls,
+        status: "scraping",
+        url,
+        message: "Extracting data...",
+      });
+      phase = "scraping";
+
+      let hasNextPage = hasHistory;
+      let mark = 0;
+      let captureTimeout = 0;
+      let seen = 0;
+      // Rows each page yielded, for the health report
+      const pageRows = [];
+
+      while (hasNextPage) {
+        // Pause or stop between pages
+        await this.checkpoint();
+
+        // Wait for rows
+        try {
+          await page.waitForSelector(schema.rowSelector, {
+            timeout: 5000,
+          });
+        } catch (err) {
+          pageRows.push(0);
+          break;
+        }
+
+        // From the captured payload, or by expanding and reading the rows
+        const pageNumber = currentPage;
+        const snapshot = snapshots
+          ? (current) => this.archive.save(snapshots, pageNumber, current)
+          : null;
+        const table = await readTablePage(page, schema, capture, {
+          mark,
+          timeout: captureTimeout,
+          snapshot,
+        });
+        const pageData = table.rows;
+        timer.record("page");
+        sources[table.source]++;
+        seen += pageData.length;
+        pageRows.push(pageData.length);
+
+        const pageResult = pageFilter.filterPage(pageData);
+        allTransactions = allTransactions.concat(pageResult.transactions);
+
+        this.emitProgress(sessionId, {
+          urlIndex,
+          totalUrls,
+          status: "scraping",
+          url,
+          extraction: table.source,
+          message: `Scraped page ${currentPage} (${pageData.length} records${
+            table.source === "network" ? " from network" : ""
+          })`,
+        });
+
+        if (pageResult.stop || (table.total !== null && seen >= table.total)) {
+          break;
+        }
+
+        // Check for next page
+        const nextButtonStatus = await nextPageState(page, pagination);
+
+        if (!nextButtonStatus.exists || !nextButtonStatus.enabled) {
+          hasNextPage = false;
+        } else {
+          try {
+            if (capture) {
+              // The next page's payload replaces the fixed wait
+              mark = capture.mark();
+              captureTimeout = pagination.wait;
+              await goToNextPage(page, { ...pagination, wait: 0 });
+            } else {
+              await goToNextPage(page, pagination);
+            }
+            currentPage++;
+          } catch (error) {
+            hasNextPage = false;
+          }
+        }
+      }
+
+      this.emitProgress(sessionId, {
+        urlIndex,
+        totalUrls,
+        status: "completed",
+        url,
+        message: pageFilter.stats.stoppedEarly
+          ? `Completed: ${allTransactions.length} new transactions (${pageFilter.stats.stopReason})`
+          : `Completed: ${allTransactions.length} transactions`,
+      });
+
+      const result = {
+        url,
+        ...adapterTags(adapter),
+        scrapedAt: new Date().toISOString(),
+        totalTransactions: allTransactions.length,
+        totalPages: currentPage,
+        extraction: describeExtraction(sources),
+        profile: this.profile.name,
+        timings: timer.timings(),
+        health: checkHealth(allTransactions, {
+          pageRows,
+          minFillRate: this.minFillRate,
+        }),
+        transactions: allTransactions,
+      };
+      if (listing) {
+        result.listing = listing;
+      }
+      if (snapshots) {
+        result.snapshotDir = snapshots.dir;
+      }
+      if (pageFilter.active) {
+        result.incremental = pageFilter.stats;
+      }
+      if (proxy) {
+        result.proxy = proxy.id;
+      }
+      this.recordProxy(proxy, "success");
+      return result;
+    } catch (error) {
+      // Keep whatever was scraped before the crawl was cancelled
+      if (this.cancelled) {
+        return {
+          url,
+          ...adapterTags(adapter),
+          scrapedAt: new Date().toISOString(),
+          totalTransactions: allTransactions.length,
+          totalPages: currentPage,
+          extraction: describeExtraction(sources),
+          transactions: allTransactions,
+          listing: listing || undefined,
+          cancelled: true,
+          incomplete: true,
+        };
+      }
+      const failure =
+        error instanceof CrawlError
+          ? error
+          : new CrawlError(error.message, classifyError(error, phase));
+      this.recordProxy(
+        proxy,
+        failure.failureClass === FAILURE_CLASSES.BLOCKED ? "blocked" : "failed"
+      );
+      if (proxy) {
+        failure.proxy = proxy.id;
+      }
+      if (this.artifacts) {
+        failure.artifacts = await this.artifacts
+          .capture(page, recorder, {
+            sessionId,
+            urlIndex,
+            url,
+            attempt,
+            error: failure.message,
+            failureClass: failure.failureClass,
+          })
+          .catch((captureError) => {
+            console.error(`Failed to save artifacts: ${captureError.message}`);
+            return undefined;
+          });
+      }
+      throw failure;
+    } finally {
+      await page.close().catch(() => {});
+      if (context) await context.close().catch(() => {});
+    }
+  }
+
+  // Waits while the crawl is paused and aborts the current page once it
+  // has been cancelled
+  async checkpoint() {
+    if (this.queue) {
+      await this.queue.waitIfPaused();
+    }
+    if (this.cancelled) {
+      throw new Error("Crawl cancelled");
+    }
+  }
+
+  pause() {
+    if (this.queue) this.queue.pause();
+  }
+
+  resume() {
+    if (this.queue) this.queue.resume();
+  }
+
+  // Stops taking new URLs and closes every page and browser; pages that were
+  // mid-crawl return what they had scraped so far
+  async cancel() {
+    this.cancelled = true;
+    if (this.queue) this.queue.cancel();
+    await this.closeBrowsers();
+  }
+
+  async closeBrowsers() {
+    await Promise.all(
+      this.browsers.map((browser) => browser.close().catch(() => {}))
+    );
+  }
+
+  emitProgress(sessionId, data) {
+    if (this.onProgress) this.onProgress(sessionId, data);
+  }
+
+  saveToStore(result, sessionId) {
+    const data = result.data || {};
+    try {
+      const { newTransactions } = this.store.recordCrawl({
+        url: result.url.trim(),
+        sessionId,
+        source: this.source,
+        transactions: data.transactions || [],
+        error: result.error || data.error,
+      });
+      data.newTransactions = newTransactions;
+    } catch (error) {
+      console.error(`Failed to store ${result.url}: ${error.message}`);
+    }
+  }
+
+  // Maps one settled crawl (or undefined, for URLs the queue never started)
+  // onto the per-URL result shape
+  toUrlResult(url, settled) {
+    if (!settled || (settled.value && settled.value.cancelled)) {
+      return {
+        url,
+        success: false,
+        cancelled: true,
+        data: settled ? settled.value : null,
+        error: settled ? "Cancelled" : "Cancelled before start",
+        failureClass: null,
+        attempts: settled ? settled.value.attempts : 0,
+      };
+    }
+
+    const data = settled.status === "fulfilled" ? settled.value : null;
+    const error =
+      settled.status === "rejected" ? settled.reason.message : data.error;
+
+    const result = {
+      url,
+      success: !error,
+      data,
+      error: error || null,
+      failureClass: error
+        ? (data && data.failureClass) || classifyError(settled.reason)
+        : null,
+      attempts: data ? data.attempts : 1,
+    };
+    if (data && data.artifacts) {
+      result.artifacts = data.artifacts;
+    }
+    return result;
+  }
+
+  // `options.indices` gives each URL's position in the whole job (defaults to
+  // its position in `urls`); it is the urlIndex used in progress events and
+  // passed to the `onStart(urlIndex)` / `onResult(urlIndex, result)` hooks,
+  // which fire as each URL starts and finishes
+  async crawlMultipleUrls(urls, sessionId, options = {}) {
+    const indices = options.indices || urls.map((url, index) => index);
+    const totalUrls = options.totalUrls || urls.length;
+    const urlResults = new Array(urls.length);
+
+    const finishUrl = async (position, settled) => {
+      const result = this.toUrlResult(urls[position], settled);
+      if (this.store && result.data) {
+        this.saveToStore(result, sessionId);
+      }
+      urlResults[position] = result;
+      if (options.onResult) {
+        await options.onResult(indices[position], result);
+      }
+    };
+
+    try {
+      await this.initBrowsers();
+
+      const queue = (this.queue = new WorkQueue({
+        concurrency: this.concurrency,
+        worker: async (url, position, workerIndex) => {
+          if (options.onStart) {
+            await options.onStart(indices[position]);
+          }
+          const value = await this.crawlPropertyGuru(
+            url.trim(),
+            sessionId,
+            indices[position],
+            totalUrls,
+            workerIndex
+          );
+          await finishUrl(position, { status: "fulfilled", value });
+          return value;
+        },
+        onChange: (stats) =>
+          this.emitProgress(sessionId, { type: "queue", ...stats }),
+      }));
+
+      const settled = await queue.run(urls);
+
+      // URLs that never ran (cancelled) or whose worker threw
+      for (let position = 0; position < urls.length; position++) {
+        if (!urlResults[position]) {
+          await finishUrl(position, settled[position]);
+        }
+      }
+
+      return urlResults;
+    } finally {
+      // Close all browsers
+      await this.closeBrowsers();
+    }
+  }
+}
+
+module.exports = {
+  FastCrawler,
+};
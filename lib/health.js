@@ -0,0 +1,133 @@
+// Data-quality checks run after extraction, so selector drift (a renamed
+// column leaving every transaction without a price) shows up as a degraded
+// crawl on its first run instead of passing as a success.
+
+const DEFAULT_MIN_FILL_RATE = 0.9;
+
+// What a normalized transaction should carry. Required fields degrade the
+// crawl when their fill rate drops below the minimum; the rest are reported.
+const TRANSACTION_SCHEMA = {
+  transactionDate: { type: "date", required: true },
+  priceValue: { type: "number", required: true },
+  pricePerSqftValue: { type: "number", required: true },
+  sizeSqft: { type: "number", required: true },
+  bedroomCount: { type: "number" },
+  floorMin: { type: "number" },
+  tenureType: { type: "string" },
+  address: { type: "string" },
+};
+
+const VALIDATORS = {
+  date: (value) =>
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value),
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  string: (value) => typeof value === "string" && value.trim() !== "",
+};
+
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+// Checks every transaction against `schema`. `pageRows` is the number of
+// rows each page yielded before any incremental filtering; a page with none
+// degrades the crawl too. Fill rates are null when there are no transactions.
+function checkHealth(transactions, options = {}) {
+  const schema = options.schema || TRANSACTION_SCHEMA;
+  const minFillRate = options.minFillRate ?? DEFAULT_MIN_FILL_RATE;
+  const pageRows = options.pageRows || [];
+  const fields = Object.keys(schema);
+
+  const filled = {};
+  fields.forEach((field) => (filled[field] = 0));
+  let invalidTransactions = 0;
+
+  transactions.forEach((transaction) => {
+    let valid = true;
+    fields.forEach((field) => {
+      const { type, required } = schema[field];
+      if (VALIDATORS[type](transaction[field])) {
+        filled[field]++;
+      } else if (required) {
+        valid = false;
+      }
+    });
+    if (!valid) invalidTransactions++;
+  });
+
+  const fillRates = {};
+  fields.forEach((field) => {
+    fillRates[field] = transactions.length
+      ? Math.round((filled[field] / transactions.length) * 1000) / 1000
+      : null;
+  });
+
+  const degradedFields = fields.filter(
+    (field) =>
+      schema[field].required &&
+      fillRates[field] !== null &&
+      fillRates[field] < minFillRate
+  );
+  const emptyPages = [];
+  pageRows.forEach((rows, index) => {
+    if (rows === 0) emptyPages.push(index + 1);
+  });
+
+  const issues = [
+    ...degradedFields.map(
+      (field) =>
+        `${field} filled in ${percent(fillRates[field])} of transactions ` +
+        `(expected at least ${percent(minFillRate)})`
+    ),
+    ...emptyPages.map((page) => `Page ${page} yielded no rows`),
+  ];
+
+  return {
+    status: issues.length > 0 ? "degraded" : "ok",
+    transactions: transactions.length,
+    invalidTransactions,
+    pages: pageRows.length,
+    emptyPages,
+    minFillRate,
+    fillRates,
+    degradedFields,
+    issues,
+  };
+}
+
+// Crawl-wide report for bulk results: fill rates across every transaction,
+// degraded when they are or when any listing's own report is
+function summarizeHealth(results, options = {}) {
+  const checked = results.filter(
+    (result) => result.success && result.data && result.data.health
+  );
+  const transactions = [];
+  checked.forEach((result) =>
+    transactions.push(...(result.data.transactions || []))
+  );
+
+  const overall = checkHealth(transactions, options);
+  const degraded = checked.filter(
+    (result) => result.data.health.status === "degraded"
+  );
+  const issues = [
+    ...overall.issues,
+    ...degraded.map(
+      (result) => `${result.url}: ${result.data.health.issues.join("; ")}`
+    ),
+  ];
+
+  return {
+    ...overall,
+    status: issues.length > 0 ? "degraded" : "ok",
+    urlsChecked: checked.length,
+    degradedUrls: degraded.map((result) => result.url),
+    issues,
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_FILL_RATE,
+  TRANSACTION_SCHEMA,
+  checkHealth,
+  summarizeHealth,
+};
@@ -0,0 +1,13 @@
+// Ids for jobs, watchlists and webhooks: the creation time, so they sort in
+// creation order, and a random suffix, so records created in the same
+// millisecond never share an id.
+
+const crypto = require("crypto");
+
+function createId() {
+  return `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+module.exports = {
+  createId,
+};
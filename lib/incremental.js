@@ -0,0 +1,117 @@
+// Page-by-page cutoffs for the price history pagination loop. The table lists
+// the newest transactions first, so once a page reaches rows older than
+// `since`, or rows we already have, the remaining pages can be skipped.
+
+const fs = require("fs").promises;
+const { parseDate } = require("./normalize");
+const { toRows } = require("./exporters");
+const { transactionKey } = require("./store");
+
+function stripHash(url) {
+  return (url || "").split("#")[0];
+}
+
+function parseSince(since) {
+  const parsed = parseDate(since);
+  if (!parsed) {
+    throw new Error(
+      `Invalid --since date "${since}" (use YYYY-MM-DD or e.g. "Mar 2024")`
+    );
+  }
+  return parsed.iso;
+}
+
+// Month-precision rows ("Mar 2024") are compared by month so a cutoff in the
+// middle of a month keeps that month's transactions
+function isOlderThan(transaction, sinceIso) {
+  if (!transaction.transactionDate) return false;
+  if (transaction.datePrecision === "month") {
+    return transaction.transactionDate.slice(0, 7) < sinceIso.slice(0, 7);
+  }
+  return transaction.transactionDate < sinceIso;
+}
+
+// Keys of transactions already seen for `url`, read from a previous output
+// file (JSON or NDJSON, single or bulk) and/or the SQLite store
+async function loadKnownKeys(url, { file, store } = {}) {
+  const keys = new Set();
+
+  if (file) {
+    const text = await fs.readFile(file, "utf-8");
+    let rows;
+    try {
+      rows = toRows(JSON.parse(text));
+    } catch (error) {
+      rows = text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    }
+
+    rows
+      .filter(
+        (row) => !row.sourceUrl || stripHash(row.sourceUrl) === stripHash(url)
+      )
+      .forEach((row) => keys.add(transactionKey(row)));
+  }
+
+  if (store) {
+    store.getTransactionKeys(url).forEach((key) => keys.add(key));
+  }
+
+  return keys;
+}
+
+function createPageFilter({ since, knownKeys } = {}) {
+  const sinceIso = since ? parseSince(since) : null;
+  const stats = {
+    since: sinceIso,
+    incremental: Boolean(knownKeys),
+    newTransactions: 0,
+    knownTransactions: 0,
+    olderTransactions: 0,
+    stoppedEarly: false,
+    stopReason: null,
+  };
+
+  function filterPage(transactions) {
+    const kept = [];
+    let stop = false;
+
+    transactions.forEach((transaction) => {
+      if (sinceIso && isOlderThan(transaction, sinceIso)) {
+        stats.olderTransactions++;
+        stats.stopReason =
+          stats.stopReason || `reached transactions before ${sinceIso}`;
+        stop = true;
+        return;
+      }
+      if (knownKeys && knownKeys.has(transactionKey(transaction))) {
+        stats.knownTransactions++;
+        stats.stopReason =
+          stats.stopReason || "reached already known transactions";
+        stop = true;
+        return;
+      }
+      stats.newTransactions++;
+      kept.push(transaction);
+    });
+
+    if (stop) {
+      stats.stoppedEarly = true;
+    }
+    return { transactions: kept, stop };
+  }
+
+  return {
+    active: Boolean(sinceIso || knownKeys),
+    filterPage,
+    stats,
+  };
+}
+
+module.exports = {
+  createPageFilter,
+  loadKnownKeys,
+  parseSince,
+};
@@ -0,0 +1,182 @@
+// File-backed store for bulk crawl jobs. Each job is one JSON file holding
+// its URL list, per-URL status and the results collected so far, so a crawl
+// can be picked up again after the server restarts.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { createId } = require("./ids");
+
+const DEFAULT_JOBS_DIR = process.env.CRAWLER_JOBS_DIR || "output/jobs";
+
+const UNFINISHED_STATUSES = ["queued", "running", "paused"];
+
+class JobStore {
+  constructor(dir = DEFAULT_JOBS_DIR) {
+    this.dir = dir;
+    this.jobs = new Map();
+    this.writes = new Map();
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // Loads every job file into memory; call once at startup
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = (await fs.readdir(this.dir)).filter((file) =>
+      file.endsWith(".json")
+    );
+
+    for (const file of files) {
+      try {
+        const job = JSON.parse(
+          await fs.readFile(path.join(this.dir, file), "utf-8")
+        );
+        this.jobs.set(job.id, job);
+      } catch (error) {
+        console.error(`Skipping unreadable job file ${file}: ${error.message}`);
+      }
+    }
+    return this.list();
+  }
+
+  // Writes are chained per job and go through a temp file + rename, so a
+  // crash mid-write never leaves a truncated job behind
+  save(job) {
+    // Deleted jobs may still be finishing their last URLs; don't resurrect them
+    if (!this.jobs.has(job.id)) return Promise.resolve();
+
+    job.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(job, null, 2);
+    const file = this.fileFor(job.id);
+
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(`${file}.tmp`, snapshot);
+        await fs.rename(`${file}.tmp`, file);
+      });
+    this.writes.set(job.id, write);
+    return write;
+  }
+
+  async create(urls, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: createId(),
+      status: "queued",
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      options,
+      urls,
+      urlStatus: urls.map(() => ({ status: "pending", attempts: 0 })),
+      results: urls.map(() => null),
+      outputFile: null,
+      error: null,
+    };
+
+    // Never overwrite another job, in memory or on disk
+    if (this.jobs.has(job.id)) {
+      throw new Error(`Job ${job.id} already exists`);
+    }
+    this.jobs.set(job.id, job);
+    const exists = await fs
+      .access(this.fileFor(job.id))
+      .then(() => true)
+      .catch(() => false);
+    if (exists) {
+      this.jobs.delete(job.id);
+      throw new Error(`Job ${job.id} already exists`);
+    }
+
+    await this.save(job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).sort((a, b) =>
+      b.createdAt.localeCompare(a.createdAt)
+    );
+  }
+
+  unfinished() {
+    return this.list()
+      .filter((job) => UNFINISHED_STATUSES.includes(job.status))
+      .reverse();
+  }
+
+  // Indices of URLs that still need crawling; URLs that were mid-crawl when
+  // the server stopped are crawled again from scratch
+  pendingIndices(job) {
+    return job.urlStatus
+      .map((entry, index) =>
+        entry.status === "pending" || entry.status === "running" ? index : -1
+      )
+      .filter((index) => index !== -1);
+  }
+
+  async setStatus(job, status, fields = {}) {
+    Object.assign(job, fields, { status });
+    await this.save(job);
+  }
+
+  markUrlRunning(job, index) {
+    job.urlStatus[index] = { ...job.urlStatus[index], status: "running" };
+    return this.save(job);
+  }
+
+  recordResult(job, index, result) {
+    let status = "completed";
+    if (result.cancelled) status = "cancelled";
+    else if (!result.success) status = "failed";
+
+    job.results[index] = result;
+    job.urlStatus[index] = {
+      status,
+      attempts: result.attempts,
+      failureClass: result.failureClass || null,
+      error: result.error || null,
+    };
+    return this.save(job);
+  }
+
+  summarize(job) {
+    const counts = {};
+    job.urlStatus.forEach((entry) => {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    });
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      totalUrls: job.urls.length,
+      counts,
+      outputFile: job.outputFile,
+      error: job.error,
+    };
+  }
+
+  async delete(id) {
+    this.jobs.delete(id);
+    await (this.writes.get(id) || Promise.resolve()).catch(() => {});
+    this.writes.delete(id);
+    await fs.rm(this.fileFor(id), { force: true });
+  }
+}
+
+module.exports = {
+  JobStore,
+};
@@ -0,0 +1,296 @@
+// Details of the listing itself (asking price, unit, project, agent...) read
+// from the same page the price history comes from. Like transactions, the
+// raw on-screen strings are kept and typed fields are added next to them.
+
+const {
+  parseAmount,
+  parseBedrooms,
+  parseCurrency,
+  parseDate,
+  parseSize,
+  parseTenure,
+} = require("./normalize");
+
+// Several selectors per field, first match wins
+const LISTING_SELECTORS = {
+  title: ['[da-id="listing-title"]', "h1"],
+  address: [
+    '[da-id="property-address"]',
+    ".full-address",
+    '[itemprop="address"]',
+  ],
+  askingPrice: [
+    '[da-id="price-amount"]',
+    ".listing-price .amount",
+    '[itemprop="price"]',
+  ],
+  pricePerSqft: ['[da-id="psf-amount"]', ".price-psf", ".listing-psf"],
+  bedrooms: ['[da-id="bedroom-amenity"]', ".listing-bedroom", ".beds"],
+  bathrooms: ['[da-id="bathroom-amenity"]', ".listing-bathroom", ".baths"],
+  floorArea: ['[da-id="area-amenity"]', ".listing-floorarea", ".floorarea"],
+  agentName: ['[da-id="agent-name"]', ".agent-name", ".agent-info-name"],
+  agency: ['[da-id="agency-name"]', ".agency-name", ".agent-info-agency"],
+  // Lists
+  facilities: [
+    '[da-id="facilities-amenity"] li',
+    '[da-id="facility-item"]',
+    ".property-facilities li",
+  ],
+  mrt: ['[da-id="mrt-item"]', ".mrt-list li", ".nearby-mrt li"],
+  // Label/value rows of the "Property details" section
+  detailRows: [
+    '[da-id="property-details"] tr',
+    '[da-id="property-details-item"]',
+    ".property-details .meta-table__item",
+    ".property-details tr",
+    ".details-table tr",
+  ],
+};
+
+// Labels of the "Property details" rows, matched case-insensitively
+const DETAIL_LABELS = {
+  tenure: /tenure/,
+  topYear: /\btop\b|completion|built/,
+  developer: /developer/,
+  unitType: /unit type|property type/,
+  furnishing: /furnish/,
+  postedDate: /listed|posted/,
+  listingId: /listing id/,
+  floorLevel: /floor level/,
+};
+
+// Runs in the browser
+function readListingPage(selectors) {
+  const first = (list) => {
+    for (const selector of list) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  };
+  const text = (list) => first(list)?.textContent?.trim() || null;
+  const all = (list) => {
+    for (const selector of list) {
+      const items = Array.from(document.querySelectorAll(selector))
+        .map((element) => element.textContent.replace(/\s+/g, " ").trim())
+        .filter(Boolean);
+      if (items.length > 0) return items;
+    }
+    return [];
+  };
+
+  const details = {};
+  for (const selector of selectors.detailRows) {
+    const rows = document.querySelectorAll(selector);
+    rows.forEach((row) => {
+      const cells = Array.from(row.children).filter((cell) =>
+        cell.textContent.trim()
+      );
+      if (cells.length >= 2) {
+        const label = cells[0].textContent.trim().replace(/:$/, "");
+        details[label] = cells[cells.length - 1].textContent.trim();
+      }
+    });
+    if (rows.length > 0) break;
+  }
+
+  // schema.org data, used where the visible markup has nothing
+  let structured = null;
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((script) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        (Array.isArray(data) ? data : [data]).forEach((item) => {
+          if (!structured && item && (item.offers || item.datePosted)) {
+            structured = item;
+          }
+        });
+      } catch (error) {
+        // Ignore malformed blocks
+      }
+    });
+
+  const offers = structured
+    ? [].concat(structured.offers || [])[0] || {}
+    : {};
+
+  return {
+    title: text(selectors.title),
+    address: text(selectors.address),
+    askingPrice: text(selectors.askingPrice),
+    pricePerSqft: text(selectors.pricePerSqft),
+    bedrooms: text(selectors.bedrooms),
+    bathrooms: text(selectors.bathrooms),
+    floorArea: text(selectors.floorArea),
+    agentName: text(selectors.agentName),
+    agency: text(selectors.agency),
+    facilities: all(selectors.facilities),
+    mrt: all(selectors.mrt),
+    details,
+    structured: structured
+      ? {
+          price: offers.price || null,
+          priceCurrency: offers.priceCurrency || null,
+          datePosted: structured.datePosted || null,
+          bedrooms:
+            structured.numberOfBedrooms || structured.numberOfRooms || null,
+          bathrooms: structured.numberOfBathroomsTotal || null,
+          floorSize:
+            structured.floorSize && structured.floorSize.value
+              ? `${structured.floorSize.value} sqft`
+              : null,
+        }
+      : null,
+  };
+}
+
+function detailValue(details, field) {
+  const label = Object.keys(details).find((key) =>
+    DETAIL_LABELS[field].test(key.toLowerCase())
+  );
+  return label ? details[label] : null;
+}
+
+// "Listed on 12 Mar 2024", "2024-03-12T08:00:00Z" -> parseDate result
+function parsePostedDate(text) {
+  if (!text) return null;
+  const match = String(text).match(
+    /\d{4}-\d{2}-\d{2}|(?:\d{1,2}\s+)?[A-Za-z]{3,9}\.?\s+\d{4}/
+  );
+  return match ? parseDate(match[0]) : null;
+}
+
+// "Tanah Merah MRT 0.8 km (10 mins)", "EW4 Tanah Merah · 750 m"
+function parseMrt(text) {
+  const distance = text.match(/(\d+(?:\.\d+)?)\s*(km|m)\b/i);
+  const unit = distance && distance[2].toLowerCase() === "km" ? 1000 : 1;
+  const walk = text.match(/(\d+)\s*min/i);
+  const station = (distance ? text.slice(0, distance.index) : text)
+    .replace(/[·•\-–|(]\s*$/, "")
+    .trim();
+
+  return {
+    text,
+    station: station || null,
+    distanceMeters: distance
+      ? Math.round(parseFloat(distance[1]) * unit)
+      : null,
+    walkMinutes: walk ? parseInt(walk[1], 10) : null,
+  };
+}
+
+function listingIdFromUrl(url) {
+  const match = (url || "").match(/-(\d+)(?:[/?#]|$)/);
+  return match ? match[1] : null;
+}
+
+function normalizeListing(raw, url, options = {}) {
+  const defaultCurrency = options.currency || "SGD";
+  const structured = raw.structured || {};
+  const details = raw.details || {};
+  const warnings = [];
+
+  const parseValue = (text, parser, label) => {
+    if (text === undefined || text === null || text === "") return null;
+    const value = parser(String(text));
+    if (value === null) {
+      warnings.push(`Could not parse ${label} from "${text}"`);
+    }
+    return value;
+  };
+
+  const askingPrice = raw.askingPrice || structured.price || null;
+  const bedrooms = raw.bedrooms || structured.bedrooms || null;
+  const bathrooms = raw.bathrooms || structured.bathrooms || null;
+  const floorArea = raw.floorArea || structured.floorSize || null;
+  const tenureText = detailValue(details, "tenure");
+  const topText = detailValue(details, "topYear");
+  const postedText =
+    detailValue(details, "postedDate") || structured.datePosted || null;
+
+  const listing = {
+    url,
+    listingId: detailValue(details, "listingId") || listingIdFromUrl(url),
+    title: raw.title,
+    address: raw.address,
+    askingPrice: askingPrice !== null ? String(askingPrice) : null,
+    pricePerSqft: raw.pricePerSqft,
+    bedrooms: bedrooms !== null ? String(bedrooms) : null,
+    bathrooms: bathrooms !== null ? String(bathrooms) : null,
+    floorArea,
+    tenure: tenureText,
+    topYear: null,
+    developer: detailValue(details, "developer"),
+    unitType: detailValue(details, "unitType"),
+    furnishing: detailValue(details, "furnishing"),
+    floorLevel: detailValue(details, "floorLevel"),
+    facilities: raw.facilities || [],
+    nearbyMrt: (raw.mrt || []).map(parseMrt),
+    agent: {
+      name: raw.agentName,
+      agency: raw.agency,
+    },
+    postedDate: null,
+    details,
+  };
+
+  listing.currency = parseCurrency(
+    raw.askingPrice,
+    structured.priceCurrency || defaultCurrency
+  );
+  listing.askingPriceValue = parseValue(askingPrice, parseAmount, "price");
+  listing.pricePerSqftValue = parseValue(
+    raw.pricePerSqft,
+    parseAmount,
+    "price per sqft"
+  );
+
+  const size = parseValue(floorArea, parseSize, "floor area");
+  listing.sizeSqft = size ? size.sqft : null;
+  listing.sizeSqm = size ? size.sqm : null;
+
+  listing.bedroomCount = parseValue(bedrooms, parseBedrooms, "bedrooms");
+  listing.bathroomCount = parseValue(bathrooms, parseBedrooms, "bathrooms");
+
+  const tenure = parseValue(tenureText, parseTenure, "tenure");
+  listing.tenureType = tenure ? tenure.type : null;
+  listing.leaseYears = tenure ? tenure.years : null;
+  listing.leaseStartYear = tenure ? tenure.startYear : null;
+
+  const topYear = topText ? topText.match(/\b(19|20)\d{2}\b/) : null;
+  listing.topYear = topYear ? parseInt(topYear[0], 10) : null;
+  if (topText && !topYear) {
+    warnings.push(`Could not parse TOP year from "${topText}"`);
+  }
+
+  const posted = parseValue(postedText, parsePostedDate, "posted date");
+  listing.postedDate = posted ? posted.iso : null;
+  listing.postedDateText = postedText;
+
+  if (
+    listing.pricePerSqftValue === null &&
+    listing.askingPriceValue !== null &&
+    listing.sizeSqft
+  ) {
+    listing.pricePerSqftValue = Math.round(
+      listing.askingPriceValue / listing.sizeSqft
+    );
+  }
+
+  listing.warnings = warnings;
+  return listing;
+}
+
+// Reads and normalizes the listing details of the page that is open
+async function extractListing(page, url, options = {}) {
+  const raw = await page.evaluate(readListingPage, LISTING_SELECTORS);
+  return normalizeListing(raw, url, options);
+}
+
+module.exports = {
+  LISTING_SELECTORS,
+  extractListing,
+  normalizeListing,
+  parseMrt,
+};
@@ -0,0 +1,259 @@
+// Network capture for extraction schemas. Instead of expanding rows and
+// reading their text, the JSON responses a page fetches for its table (and
+// for each page of it) are recorded and mapped to records. A schema opts in
+// with `capture: { match }`, a pattern for the response URL's path; only
+// responses from the listing's own site (the adapter's `hosts`, or the page's
+// host) are considered, so analytics and ad calls that mention "transactions"
+// are ignored. `map(payload, { areaUnit })` turns one payload into
+// { rows, total } or null, and defaults to mapTransactionsPayload.
+
+const { parseDate } = require("./normalize");
+
+// "auto" reads captured payloads when the schema has a capture and falls back
+// to the page; "dom" always scrapes the page
+const EXTRACTION_MODES = ["auto", "dom"];
+
+// Raw transaction fields, as the DOM scrape names them, and the payload keys
+// they are read from (compared case-insensitively, ignoring _ and -)
+const FIELD_ALIASES = {
+  date: [
+    "date",
+    "transactionDate",
+    "transactedDate",
+    "transactedAt",
+    "contractDate",
+    "saleDate",
+    "soldDate",
+  ],
+  price: [
+    "price",
+    "transactedPrice",
+    "transactionPrice",
+    "salePrice",
+    "amount",
+  ],
+  pricePerSqft: [
+    "pricePerSqft",
+    "pricePerSquareFoot",
+    "pricePsf",
+    "psf",
+    "unitPrice",
+    "pricePerArea",
+  ],
+  size: ["size", "area", "floorArea", "builtUp", "builtUpArea"],
+  bedrooms: ["bedrooms", "bedroom", "bedroomCount", "beds", "noOfBedrooms"],
+  floorLevel: ["floorLevel", "floorRange", "storeyRange", "storey", "level"],
+  buildStatus: ["buildStatus", "completionStatus", "propertyStatus"],
+  lease: ["lease", "tenure", "leaseTerm"],
+  address: ["address", "fullAddress", "unitAddress", "streetAddress"],
+};
+
+const TOTAL_KEYS = ["total", "totalCount", "totalItems", "totalRecords"];
+
+// Deepest a payload is searched for the transaction array
+const MAX_DEPTH = 6;
+
+function keyOf(name) {
+  return name.toLowerCase().replace(/[_-]/g, "");
+}
+
+function lookup(record, aliases) {
+  const keys = aliases.map(keyOf);
+  const name = Object.keys(record).find((key) => keys.includes(keyOf(key)));
+  return name === undefined ? undefined : record[name];
+}
+
+// Amounts often come as { value, currency, formatted }; prefer what the
+// table would have shown
+function textOf(value) {
+  if (value === null || value === undefined || value === "") return undefined;
+  if (typeof value === "object") {
+    return textOf(value.formatted ?? value.text ?? value.label ?? value.value);
+  }
+  return String(value);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function looksLikeTransaction(item) {
+  return (
+    isPlainObject(item) &&
+    lookup(item, FIELD_ALIASES.date) !== undefined &&
+    lookup(item, FIELD_ALIASES.price) !== undefined
+  );
+}
+
+// The first array of transaction-like objects, with the object holding it
+function findTransactions(node, depth = 0) {
+  if (depth > MAX_DEPTH || !node || typeof node !== "object") return null;
+
+  const values = Array.isArray(node) ? node : Object.values(node);
+  if (
+    Array.isArray(node) &&
+    node.length > 0 &&
+    node.slice(0, 5).every(looksLikeTransaction)
+  ) {
+    return { items: node, holder: null };
+  }
+
+  for (const value of values) {
+    const found = findTransactions(value, depth + 1);
+    if (found) {
+      return { items: found.items, holder: found.holder || node };
+    }
+  }
+  return null;
+}
+
+function findTotal(...holders) {
+  for (const holder of holders) {
+    if (!isPlainObject(holder)) continue;
+    const total = lookup(holder, TOTAL_KEYS);
+    if (typeof total === "number") return total;
+    const nested = Object.values(holder).find(
+      (value) => isPlainObject(value) && lookup(value, TOTAL_KEYS) !== undefined
+    );
+    if (nested) return Number(lookup(nested, TOTAL_KEYS));
+  }
+  return null;
+}
+
+function toRawTransaction(item, areaUnit) {
+  const raw = {};
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const value = lookup(item, aliases);
+    // Epoch timestamps, in seconds or milliseconds
+    if (field === "date" && typeof value === "number") {
+      const date = new Date(value < 1e12 ? value * 1000 : value);
+      raw.date = date.toISOString().slice(0, 10);
+      return;
+    }
+    const text = textOf(value);
+    if (text === undefined) return;
+    // Bare numbers are in the site's area unit
+    if (field === "size" && /^[\d.,]+$/.test(text)) {
+      raw.size = `${text} ${areaUnit}`;
+      return;
+    }
+    raw[field] = text;
+  });
+  return raw;
+}
+
+// A mapped row that could stand in for a table row: a readable date and a
+// price with digits in it
+function isTransactionRow(raw) {
+  return Boolean(
+    raw.date && parseDate(raw.date) && raw.price && /\d/.test(raw.price)
+  );
+}
+
+// Price-history payloads -> raw transactions in the DOM scrape's shape, so
+// the schema's usual transform (normalizeTransactions) applies unchanged.
+// A payload with any row that is not a transaction is rejected whole, so the
+// page is scraped from the DOM instead.
+function mapTransactionsPayload(payload, { areaUnit = "sqft" } = {}) {
+  const found = findTransactions(payload);
+  if (!found || !found.items.every(looksLikeTransaction)) return null;
+
+  const rows = found.items.map((item) => toRawTransaction(item, areaUnit));
+  if (!rows.every(isTransactionRow)) return null;
+
+  return {
+    rows,
+    total: findTotal(found.holder, payload),
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+// Whether a response is the listing site's own request for `match`: from one
+// of `hosts` when given, otherwise from the page's own host
+function isSiteResponse(responseUrl, { pageUrl, hosts, match }) {
+  const host = hostOf(responseUrl);
+  if (!host) return false;
+  const ownSite = hosts
+    ? hosts.some((pattern) => pattern.test(host))
+    : host === hostOf(pageUrl);
+  return ownSite && match.test(new URL(responseUrl).pathname);
+}
+
+class ResponseCapture {
+  constructor(page, capture, options = {}) {
+    this.page = page;
+    this.match = capture.match;
+    this.map = capture.map || mapTransactionsPayload;
+    this.areaUnit = options.areaUnit;
+    this.hosts = options.hosts;
+    this.payloads = [];
+    this.waiters = [];
+    this.onResponse = (response) => {
+      this.record(response).catch(() => {});
+    };
+  }
+
+  start() {
+    this.page.on("response", this.onResponse);
+    return this;
+  }
+
+  stop() {
+    this.page.off("response", this.onResponse);
+  }
+
+  async record(response) {
+    const type = response.request().resourceType();
+    if (type !== "xhr" && type !== "fetch") return;
+    const ownSite = isSiteResponse(response.url(), {
+      pageUrl: this.page.url(),
+      hosts: this.hosts,
+      match: this.match,
+    });
+    if (!ownSite) return;
+    if (!/json/.test(response.headers()["content-type"] || "")) return;
+
+    const mapped = this.map(await response.json(), {
+      areaUnit: this.areaUnit,
+    });
+    if (!mapped) return;
+
+    this.payloads.push({ url: response.url(), ...mapped });
+    this.waiters.splice(0).forEach((wake) => wake());
+  }
+
+  // Pass to waitForPayload() to only accept payloads recorded from now on
+  mark() {
+    return this.payloads.length;
+  }
+
+  // First payload recorded after `mark`, waiting up to `timeout` ms for one
+  async waitForPayload(mark = 0, timeout = 0) {
+    const deadline = Date.now() + timeout;
+    while (this.payloads.length <= mark) {
+      const left = deadline - Date.now();
+      if (left <= 0) return null;
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, left);
+        this.waiters.push(() => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    }
+    return this.payloads[mark];
+  }
+}
+
+module.exports = {
+  EXTRACTION_MODES,
+  ResponseCapture,
+  mapTransactionsPayload,
+};
@@ -0,0 +1,252 @@
+// Turns the on-screen text scraped from the price history table into typed
+// fields. The raw strings are kept as-is so existing consumers keep working.
+
+const SQM_TO_SQFT = 10.7639;
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  sept: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+// Prefixes as they appear in the price column
+const CURRENCY_SYMBOLS = [
+  ["S$", "SGD"],
+  ["SGD", "SGD"],
+  ["US$", "USD"],
+  ["USD", "USD"],
+  ["RM", "MYR"],
+  ["MYR", "MYR"],
+];
+
+// Keyed by the first letter of the suffix ("k", "m"/"mil"/"million", "b"/"bn")
+const MULTIPLIERS = {
+  k: 1e3,
+  m: 1e6,
+  b: 1e9,
+};
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function parseCurrency(text, defaultCurrency = null) {
+  if (!text) return defaultCurrency;
+  const upper = text.trim().toUpperCase();
+  const match = CURRENCY_SYMBOLS.find(([symbol]) => upper.startsWith(symbol));
+  return match ? match[1] : defaultCurrency;
+}
+
+// "S$ 1,250,000", "S$ 4.05M", "RM 980K" -> number
+function parseAmount(text) {
+  if (!text) return null;
+  const match = text
+    .replace(/,/g, "")
+    .match(/(\d+(?:\.\d+)?)\s*(k|m(?:il(?:lion)?)?|b(?:n|illion)?)?\b/i);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  const multiplier = match[2] ? MULTIPLIERS[match[2][0].toLowerCase()] : 1;
+  return Math.round(value * multiplier);
+}
+
+// "1,023 sqft", "95 sqm", "1,023 sqft / 95 sqm" -> { sqft, sqm }
+function parseSize(text) {
+  if (!text) return null;
+  const clean = text.replace(/,/g, "");
+  const sqft = clean.match(/(\d+(?:\.\d+)?)\s*(?:sq\.?\s*ft|sqft|ft²)/i);
+  const sqm = clean.match(/(\d+(?:\.\d+)?)\s*(?:sq\.?\s*m|sqm|m²)(?![a-z])/i);
+
+  if (sqft) {
+    const value = parseFloat(sqft[1]);
+    return {
+      sqft: value,
+      sqm: sqm ? parseFloat(sqm[1]) : round(value / SQM_TO_SQFT),
+    };
+  }
+  if (sqm) {
+    const value = parseFloat(sqm[1]);
+    return { sqft: round(value * SQM_TO_SQFT), sqm: value };
+  }
+  return null;
+}
+
+// "Mar 2024", "Sept 2025", "12 Mar 2024", "2024-03-12" -> { iso, precision }
+function parseDate(text) {
+  if (!text) return null;
+  const clean = text.trim();
+
+  const isoMatch = clean.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+  if (isoMatch) {
+    return isoMatch[3]
+      ? { iso: isoMatch[0], precision: "day" }
+      : { iso: `${isoMatch[1]}-${isoMatch[2]}-01`, precision: "month" };
+  }
+
+  const textMatch = clean.match(
+    /^(?:(\d{1,2})\s+)?([A-Za-z]{3,9})\.?\s+(\d{2}|\d{4})$/
+  );
+  if (!textMatch) return null;
+
+  const monthName = textMatch[2].toLowerCase();
+  const month = MONTHS[monthName] || MONTHS[monthName.slice(0, 3)];
+  if (!month) return null;
+
+  let year = parseInt(textMatch[3], 10);
+  if (year < 100) year += 2000;
+
+  const day = textMatch[1] ? parseInt(textMatch[1], 10) : 1;
+  return {
+    iso: `${year}-${pad(month)}-${pad(day)}`,
+    precision: textMatch[1] ? "day" : "month",
+  };
+}
+
+// "3 Bedrooms", "5 Bed", "Studio" -> number
+function parseBedrooms(text) {
+  if (!text) return null;
+  if (/studio/i.test(text)) return 0;
+  const match = text.match(/(\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// "99-yr from 2019", "Freehold", "999-yr" -> { type, years, startYear }
+function parseTenure(text) {
+  if (!text) return null;
+  if (/freehold/i.test(text)) {
+    return { type: "freehold", years: null, startYear: null };
+  }
+
+  const years = text.match(/(\d+)\s*-?\s*(?:yrs?|years?)/i);
+  if (!years) return null;
+
+  const start = text.match(/from\s+(\d{4})/i);
+  return {
+    type: "leasehold",
+    years: parseInt(years[1], 10),
+    startYear: start ? parseInt(start[1], 10) : null,
+  };
+}
+
+// "11 to 15", "01 - 05", "Ground", "B1 to B2", "23" -> { min, max }
+function parseFloorRange(text) {
+  if (!text) return null;
+  const clean = text.trim();
+
+  const toFloor = (value) => {
+    if (/^g(round)?$/i.test(value)) return 1;
+    const basement = value.match(/^b(\d+)$/i);
+    if (basement) return -parseInt(basement[1], 10);
+    return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+  };
+
+  const range = clean.match(
+    /^([a-z]?\d+|ground)\s*(?:to|-|–)\s*([a-z]?\d+)$/i
+  );
+  if (range) {
+    const from = toFloor(range[1]);
+    const to = toFloor(range[2]);
+    // Basement bands run downwards: "B1 to B2" is floors -2 to -1
+    if (from !== null && to !== null) {
+      return { min: Math.min(from, to), max: Math.max(from, to) };
+    }
+  }
+
+  const single = toFloor(clean);
+  return single !== null ? { min: single, max: single } : null;
+}
+
+function normalizeTransaction(raw, options = {}) {
+  const defaultCurrency = options.currency || "SGD";
+  const warnings = [];
+  const normalized = { ...raw };
+
+  const parseField = (field, parser, label) => {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === "") {
+      return null;
+    }
+    const value = parser(raw[field]);
+    if (value === null) {
+      warnings.push(`Could not parse ${label} from "${raw[field]}"`);
+    }
+    return value;
+  };
+
+  const date = parseField("date", parseDate, "date");
+  normalized.transactionDate = date ? date.iso : null;
+  normalized.datePrecision = date ? date.precision : null;
+
+  normalized.currency = parseCurrency(raw.price, defaultCurrency);
+  normalized.priceValue = parseField("price", parseAmount, "price");
+  normalized.pricePerSqftValue = parseField(
+    "pricePerSqft",
+    parseAmount,
+    "price per sqft"
+  );
+
+  const size = parseField("size", parseSize, "size");
+  normalized.sizeSqft = size ? size.sqft : null;
+  normalized.sizeSqm = size ? size.sqm : null;
+
+  normalized.bedroomCount = parseField("bedrooms", parseBedrooms, "bedrooms");
+
+  const tenure = parseField("lease", parseTenure, "tenure");
+  normalized.tenureType = tenure ? tenure.type : null;
+  normalized.leaseYears = tenure ? tenure.years : null;
+  normalized.leaseStartYear = tenure ? tenure.startYear : null;
+
+  // Prefer the table's floor band; fall back to the unit number in the address
+  let floorRange = parseField("floorLevel", parseFloorRange, "floor level");
+  if (!floorRange && raw.floor) {
+    floorRange = parseFloorRange(raw.floor);
+  }
+  normalized.floorMin = floorRange ? floorRange.min : null;
+  normalized.floorMax = floorRange ? floorRange.max : null;
+
+  // Derive PSF when the table only shows the total price
+  if (
+    normalized.pricePerSqftValue === null &&
+    normalized.priceValue !== null &&
+    normalized.sizeSqft
+  ) {
+    normalized.pricePerSqftValue = Math.round(
+      normalized.priceValue / normalized.sizeSqft
+    );
+  }
+
+  normalized.warnings = warnings;
+  return normalized;
+}
+
+function normalizeTransactions(transactions, options = {}) {
+  return transactions.map((transaction) =>
+    normalizeTransaction(transaction, options)
+  );
+}
+
+module.exports = {
+  normalizeTransaction,
+  normalizeTransactions,
+  parseAmount,
+  parseBedrooms,
+  parseCurrency,
+  parseDate,
+  parseFloorRange,
+  parseSize,
+  parseTenure,
+};
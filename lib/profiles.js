@@ -0,0 +1,226 @@
+// Crawl profiles: how much of a listing page the browser loads and how long
+// the crawler waits around it. A profile sets
+//
+//   blockResources  request types that are never fetched
+//   hosts           { allow } to fetch only the listing's own site, the
+//                   adapter's `assetHosts` and these hosts, { deny } to block
+//                   these hosts, or null to fetch everything
+//   viewport        page size, or null for the browser default
+//   waitUntil       when navigation counts as done (Puppeteer's waitUntil)
+//   readyWait       ms to let lazy sections render after the scroll
+//   paginationWait  ms to wait after turning a page, or null for the schema's
+//   minDelay/jitter rate limiter delays, unless the crawl sets its own
+
+const DEFAULT_PROFILE = "balanced";
+
+// Ads, analytics and map tiles; none of them carry listing data
+const TRACKER_HOSTS = [
+  /(^|\.)google-analytics\.com$/,
+  /(^|\.)googletagmanager\.com$/,
+  /(^|\.)googlesyndication\.com$/,
+  /(^|\.)googleadservices\.com$/,
+  /(^|\.)doubleclick\.net$/,
+  /(^|\.)facebook\.(com|net)$/,
+  /(^|\.)hotjar\.(com|io)$/,
+  /(^|\.)clarity\.ms$/,
+  /(^|\.)criteo\.(com|net)$/,
+  /(^|\.)tiktok\.com$/,
+  /(^|\.)nr-data\.net$/,
+  /(^|\.)newrelic\.com$/,
+  /^maps\.(googleapis|gstatic)\.com$/,
+  /(^|\.)tile\.openstreetmap\.org$/,
+];
+
+const CRAWL_PROFILES = {
+  fast: {
+    description:
+      "Skips images, media, fonts and third-party requests; shortest waits",
+    blockResources: ["image", "media", "font"],
+    hosts: { allow: [] },
+    viewport: { width: 1280, height: 800 },
+    waitUntil: "domcontentloaded",
+    readyWait: 500,
+    paginationWait: 1000,
+  },
+  balanced: {
+    description: "Skips media, ads, analytics and map tiles",
+    blockResources: ["media"],
+    hosts: { deny: TRACKER_HOSTS },
+    viewport: null,
+    waitUntil: "networkidle2",
+    readyWait: 2000,
+    paginationWait: null,
+  },
+  stealth: {
+    description:
+      "Loads everything like a visitor, with a desktop viewport and long, " +
+      "randomized delays",
+    blockResources: [],
+    hosts: null,
+    viewport: { width: 1920, height: 1080 },
+    waitUntil: "networkidle2",
+    readyWait: 4000,
+    paginationWait: null,
+    minDelay: 5000,
+    jitter: 5000,
+  },
+};
+
+const PROFILE_NAMES = Object.keys(CRAWL_PROFILES);
+
+function getProfile(name = DEFAULT_PROFILE) {
+  const profile = CRAWL_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown crawl profile "${name}" (use one of: ${PROFILE_NAMES.join(
+        ", "
+      )})`
+    );
+  }
+  return { name, ...profile };
+}
+
+// The registrable part of a hostname: "www.propertyguru.com.sg" ->
+// "propertyguru.com.sg", "www.99.co" -> "99.co"
+function siteOf(hostname) {
+  const labels = hostname.split(".");
+  const secondLevel = ["com", "co", "net", "org", "gov", "edu"];
+  const count =
+    labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    secondLevel.includes(labels[labels.length - 2])
+      ? 3
+      : 2;
+  return labels.slice(-count).join(".");
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+function shouldBlock(request, page, profile, assetHosts = []) {
+  // The listing itself always loads
+  if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+    return false;
+  }
+  if (profile.blockResources.includes(request.resourceType())) return true;
+  if (!profile.hosts) return false;
+
+  // data: and blob: URLs have no host
+  const host = hostOf(request.url());
+  if (!host) return false;
+
+  if (profile.hosts.deny) {
+    return profile.hosts.deny.some((pattern) => pattern.test(host));
+  }
+  const firstParty = siteOf(host) === siteOf(hostOf(page.url()));
+  return !(
+    firstParty ||
+    [...assetHosts, ...profile.hosts.allow].some((pattern) =>
+      pattern.test(host)
+    )
+  );
+}
+
+// Applies the profile's viewport and request blocking to a new page.
+// `assetHosts` are other hosts the site needs (its CDN) under an allowlist.
+async function applyProfile(page, profile, { assetHosts } = {}) {
+  if (profile.viewport) {
+    await page.setViewport(profile.viewport);
+  }
+  if (profile.blockResources.length === 0 && !profile.hosts) return;
+
+  await page.setRequestInterception(true);
+  page.on("request", (request) => {
+    if (shouldBlock(request, page, profile, assetHosts)) {
+      request.abort("blockedbyclient").catch(() => {});
+    } else {
+      request.continue().catch(() => {});
+    }
+  });
+}
+
+// The schema's pagination with the profile's wait
+function paginationFor(pagination, profile) {
+  if (!pagination || !profile || profile.paginationWait === null) {
+    return pagination;
+  }
+  return { ...pagination, wait: profile.paginationWait };
+}
+
+// Per-URL timings, in ms, for comparing profiles: `navigation` (the page
+// load), `tableReady` (load to the price history table, filters cleared)
+// and each page's scrape, including turning to it
+class CrawlTimer {
+  constructor() {
+    this.started = Date.now();
+    this.lapStarted = this.started;
+    this.navigation = null;
+    this.tableReady = null;
+    this.pages = [];
+  }
+
+  // Starts the next step's clock without recording the current one
+  lap() {
+    this.lapStarted = Date.now();
+  }
+
+  // Records the time since the last step as `step` ("page" appends)
+  record(step) {
+    const elapsed = Date.now() - this.lapStarted;
+    if (step === "page") {
+      this.pages.push(elapsed);
+    } else {
+      this[step] = elapsed;
+    }
+    this.lap();
+  }
+
+  timings() {
+    return {
+      navigation: this.navigation,
+      tableReady: this.tableReady,
+      pages: this.pages,
+      total: Date.now() - this.started,
+    };
+  }
+}
+
+function average(values) {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+}
+
+// Average timings over a crawl's successful URLs; `page` is per page
+function summarizeTimings(results) {
+  const timings = results
+    .filter((result) => result.success && result.data && result.data.timings)
+    .map((result) => result.data.timings);
+  const valuesOf = (step) =>
+    timings.map((timing) => timing[step]).filter((value) => value !== null);
+
+  return {
+    urls: timings.length,
+    navigation: average(valuesOf("navigation")),
+    tableReady: average(valuesOf("tableReady")),
+    page: average(timings.flatMap((timing) => timing.pages)),
+    total: average(valuesOf("total")),
+  };
+}
+
+module.exports = {
+  CRAWL_PROFILES,
+  CrawlTimer,
+  DEFAULT_PROFILE,
+  PROFILE_NAMES,
+  applyProfile,
+  getProfile,
+  paginationFor,
+  shouldBlock,
+  summarizeTimings,
+};
@@ -0,0 +1,127 @@
+// Terminal progress for the `bulk` command, driven by the progress events
+// FastCrawler emits (the same ones the server streams over SSE). On a TTY it
+// redraws a progress bar with one line per URL in flight; elsewhere (cron, CI
+// logs) it prints a plain line as each URL finishes or is retried.
+
+const readline = require("readline");
+
+const BAR_WIDTH = 24;
+const REDRAW_INTERVAL = 1000;
+
+const STATUS_ICONS = {
+  starting: "…",
+  loading: "…",
+  scraping: "⇣",
+  retrying: "↻",
+  completed: "✓",
+  error: "✗",
+};
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+class ProgressDisplay {
+  constructor(totalUrls, options = {}) {
+    this.totalUrls = totalUrls;
+    this.stream = options.stream || process.stdout;
+    this.interactive = Boolean(this.stream.isTTY);
+    this.active = new Map();
+    this.succeeded = 0;
+    this.failed = 0;
+    this.queue = null;
+    this.startTime = Date.now();
+    this.drawnLines = 0;
+    this.timer = null;
+  }
+
+  // Keeps the elapsed time ticking between events
+  start() {
+    if (!this.interactive) return;
+    this.timer = setInterval(() => this.render(), REDRAW_INTERVAL);
+    this.timer.unref();
+  }
+
+  finish() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.active.clear();
+    this.render();
+  }
+
+  update(event) {
+    if (event.type === "queue") {
+      this.queue = event;
+    } else if (event.status === "completed" || event.status === "error") {
+      this.active.delete(event.urlIndex);
+      if (event.status === "error") {
+        this.failed++;
+      } else {
+        this.succeeded++;
+      }
+      const done = this.succeeded + this.failed;
+      this.log(
+        `[${done}/${this.totalUrls}] ${STATUS_ICONS[event.status]} ${event.url} - ${event.message}`
+      );
+    } else if (event.status) {
+      this.active.set(event.urlIndex, event);
+      if (event.status === "retrying") {
+        this.log(`${STATUS_ICONS.retrying} ${event.url} - ${event.message}`);
+      }
+    }
+    this.render();
+  }
+
+  // Prints a line that stays above the live block
+  log(line) {
+    this.clear();
+    this.stream.write(`${line}\n`);
+  }
+
+  clear() {
+    if (!this.interactive || this.drawnLines === 0) return;
+    readline.moveCursor(this.stream, 0, -this.drawnLines);
+    readline.clearScreenDown(this.stream);
+    this.drawnLines = 0;
+  }
+
+  render() {
+    if (!this.interactive) return;
+
+    const done = this.succeeded + this.failed;
+    const filled = this.totalUrls
+      ? Math.round((done / this.totalUrls) * BAR_WIDTH)
+      : BAR_WIDTH;
+    const bar = "█".repeat(filled) + "░".repeat(BAR_WIDTH - filled);
+    const parts = [
+      `${done}/${this.totalUrls} done`,
+      `${this.active.size} active`,
+    ];
+    if (this.queue) parts.push(`${this.queue.queued} queued`);
+    if (this.failed > 0) parts.push(`${this.failed} failed`);
+    parts.push(formatDuration(Date.now() - this.startTime));
+
+    const lines = [`[${bar}] ${parts.join(" · ")}`];
+    [...this.active.entries()]
+      .sort(([a], [b]) => a - b)
+      .forEach(([urlIndex, event]) => {
+        const icon = STATUS_ICONS[event.status] || " ";
+        const { url, message } = event;
+        lines.push(`  ${icon} #${urlIndex + 1} ${url} - ${message}`);
+      });
+
+    // Long lines would wrap and throw off the redraw
+    const width = this.stream.columns || 80;
+    this.clear();
+    this.stream.write(
+      lines.map((line) => line.slice(0, width - 1)).join("\n") + "\n"
+    );
+    this.drawnLines = lines.length;
+  }
+}
+
+module.exports = {
+  ProgressDisplay,
+};
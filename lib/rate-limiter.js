@@ -0,0 +1,48 @@
+// Spaces out navigations per host: at most `requestsPerMinute` requests, and
+// never closer together than `minDelay` plus a random `jitter`.
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+class HostRateLimiter {
+  constructor(options = {}) {
+    this.requestsPerMinute = options.requestsPerMinute || 0;
+    this.minDelay = options.minDelay || 0;
+    this.jitter = options.jitter || 0;
+    this.nextSlot = new Map();
+  }
+
+  interval() {
+    const rateInterval =
+      this.requestsPerMinute > 0 ? 60000 / this.requestsPerMinute : 0;
+    return Math.max(rateInterval, this.minDelay) + Math.random() * this.jitter;
+  }
+
+  // Slots are reserved synchronously, so concurrent callers queue up behind
+  // each other instead of all waking at the same moment
+  async wait(url) {
+    const host = hostOf(url);
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + this.interval());
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+module.exports = {
+  HostRateLimiter,
+  hostOf,
+  sleep,
+};
@@ -0,0 +1,110 @@
+// Re-runs extraction over archived snapshots (lib/snapshots.js) with jsdom
+// instead of a browser. A snapshot page stands in for a Puppeteer page: its
+// `evaluate` runs the same in-page functions against the parsed document, so
+// schemas and listing extraction work unchanged.
+
+const { JSDOM } = require("jsdom");
+const { adapterTags, findAdapter } = require("./adapters");
+const { checkHealth, summarizeHealth } = require("./health");
+const { extractListing } = require("./listing");
+const {
+  compileSchema,
+  describeExtraction,
+  extractRows,
+} = require("./web-crawler");
+
+function snapshotPage(html, url) {
+  const dom = new JSDOM(html, { url, runScripts: "outside-only" });
+  return {
+    url: () => url,
+    content: async () => dom.serialize(),
+    // Arguments are copied, as they are when sent to a real page
+    evaluate: async (fn, ...args) =>
+      dom.window.eval(`(${fn})`)(...JSON.parse(JSON.stringify(args))),
+    close: async () => dom.window.close(),
+  };
+}
+
+// One archived crawl -> a result shaped like a crawled one. `options.schema`
+// replaces the adapter's schema, to try selector changes.
+async function reextractCrawl(crawl, options = {}) {
+  const adapter = findAdapter(crawl.url);
+  const tags = adapter ? adapterTags(adapter) : {};
+  const schema = options.schema
+    ? compileSchema(options.schema)
+    : adapter && adapter.schema;
+  if (!schema) {
+    throw new Error(`No site adapter or schema for ${crawl.url}`);
+  }
+
+  let transactions = [];
+  let listing = null;
+  const pageRows = [];
+  for (const snapshot of crawl.pages) {
+    const page = snapshotPage(snapshot.html, crawl.url);
+    try {
+      if (options.listing && !listing) {
+        listing = await extractListing(page, crawl.url, {
+          currency: adapter ? adapter.currency : undefined,
+        });
+      }
+      const rows = await extractRows(page, schema);
+      pageRows.push(rows.length);
+      transactions = transactions.concat(rows);
+    } finally {
+      await page.close();
+    }
+  }
+
+  const result = {
+    url: crawl.url,
+    ...tags,
+    scrapedAt: crawl.crawledAt,
+    reextractedAt: new Date().toISOString(),
+    snapshotDir: crawl.dir,
+    totalTransactions: transactions.length,
+    totalPages: crawl.pages.length,
+    extraction: describeExtraction({ dom: crawl.pages.length }),
+    health: checkHealth(transactions, {
+      pageRows,
+      minFillRate: options.minFillRate,
+    }),
+    transactions,
+  };
+  if (listing) {
+    result.listing = listing;
+  }
+  return result;
+}
+
+// Every crawl in `crawls`, in the bulk result format so exports, `analyze`
+// and `changes` read it like a crawl session
+async function reextract(crawls, options = {}) {
+  const results = [];
+  for (const crawl of crawls) {
+    try {
+      const data = await reextractCrawl(crawl, options);
+      results.push({ url: crawl.url, success: true, data, error: null });
+    } catch (error) {
+      results.push({
+        url: crawl.url,
+        success: false,
+        data: null,
+        error: error.message,
+      });
+    }
+  }
+
+  return {
+    reextractedAt: new Date().toISOString(),
+    totalUrls: results.length,
+    health: summarizeHealth(results, { minFillRate: options.minFillRate }),
+    results,
+  };
+}
+
+module.exports = {
+  reextract,
+  reextractCrawl,
+  snapshotPage,
+};
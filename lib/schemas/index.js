@@ -0,0 +1,33 @@
+// Built-in extraction schemas, and loading of user schema files
+
+const path = require("path");
+
+const BUILT_IN_SCHEMAS = {
+  "price-history": require("./price-history"),
+};
+
+// A built-in schema name, or a path to a .json / .js schema file
+function loadSchema(nameOrFile) {
+  if (BUILT_IN_SCHEMAS[nameOrFile]) {
+    return BUILT_IN_SCHEMAS[nameOrFile];
+  }
+
+  const file = path.resolve(nameOrFile);
+  try {
+    return require(file);
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND" && error.message.includes(file)) {
+      throw new Error(
+        `Unknown schema "${nameOrFile}" (built-in: ${Object.keys(
+          BUILT_IN_SCHEMAS
+        ).join(", ")})`
+      );
+    }
+    throw new Error(`Could not load schema ${nameOrFile}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  BUILT_IN_SCHEMAS,
+  loadSchema,
+};
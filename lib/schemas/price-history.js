@@ -0,0 +1,60 @@
+// PropertyGuru's price history table on a listing page
+
+const { normalizeTransactions } = require("../normalize");
+
+// Opens each row's details (lease, address), skipping rows already open
+async function expandRows(page) {
+  await page.evaluate(() => {
+    const collapseIcons = document.querySelectorAll('[da-id="collapse-icon"]');
+    collapseIcons.forEach((icon) => {
+      if (
+        icon &&
+        !icon
+          .closest("tr")
+          ?.nextElementSibling?.querySelector(".expanded-content.show")
+      ) {
+        icon.click();
+      }
+    });
+  });
+}
+
+module.exports = {
+  name: "price-history",
+  waitFor: ".price-history-table-root",
+  rowSelector: ".table-row-collapsed",
+  // Clear any filter chips so every transaction is listed
+  setup: [
+    { click: '[da-id="filter-chip-remove-btn"]', all: true, wait: 3000 },
+  ],
+  beforePage: [{ wait: 1000 }, expandRows, { wait: 1000 }],
+  fields: {
+    date: '[da-id="row-date"] .field-value',
+    bedrooms: '[da-id="row-bedroom"] .main-text',
+    size: '[da-id="row-bedroom"] .sub-text',
+    price: '[da-id="row-price"] .main-text',
+    pricePerSqft: '[da-id="row-price"] .sub-text',
+    floorLevel: '[da-id="row-floorLevel"] .field-value',
+    buildStatus: '[da-id="row-completed"] .field-value',
+    // The expanded details live in the row after each transaction row
+    lease: {
+      scope: "next",
+      selector: '[da-id="expanded-lease"] .expanded-item-value',
+    },
+    address: {
+      scope: "next",
+      selector: '[da-id="expanded-address"] .expanded-item-value',
+    },
+    // "#03-**" -> "03"
+    floor: { from: "address", pattern: "#(\\d+)-" },
+  },
+  transform: normalizeTransactions,
+  // The table and each of its pages are filled from a JSON request to the
+  // site's own API; reading that skips the row expansion and its waits
+  capture: { match: /\/(?:price-?history|transactions)(?:[/.]|$)/i },
+  pagination: {
+    nextButton: '[da-id="hui-pagination-btn-next"]',
+    disabled: { closest: "li", className: "disabled" },
+    wait: 3000,
+  },
+};
@@ -0,0 +1,230 @@
+// Saved bulk crawl sessions: the output/bulk-crawl-<id>.json files written
+// when a crawl finishes. Listing them reads each file for its summary, so
+// the newest sessions come first and unreadable files are skipped.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { isPartial } = require("./changes");
+const { toRows } = require("./exporters");
+const { parseDate } = require("./normalize");
+
+const DEFAULT_OUTPUT_DIR = "output";
+
+const SESSION_FILE = /^bulk-crawl-([\w-]+)\.json$/;
+const SESSION_ID = /^[\w-]+$/;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID.test(id);
+}
+
+function summarizeSession(session) {
+  const results = session.results || [];
+  return {
+    sessionId: session.sessionId,
+    crawledAt: session.crawledAt,
+    status: session.status || "completed",
+    totalUrls: session.totalUrls ?? results.length,
+    successful: results.filter((result) => result.success).length,
+    failed: results.filter((result) => !result.success && !result.cancelled)
+      .length,
+    totalTransactions: results.reduce(
+      (sum, result) =>
+        sum + ((result.data && result.data.transactions) || []).length,
+      0
+    ),
+  };
+}
+
+function parseNumber(value, name, { integer = false } = {}) {
+  if (value === undefined || value === "") return null;
+  const number = integer ? Number.parseInt(value, 10) : Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+function parseDateParam(value, name) {
+  if (!value) return null;
+  const parsed = parseDate(value);
+  if (!parsed) {
+    throw new Error(`Invalid ${name} date "${value}" (use YYYY-MM-DD)`);
+  }
+  return parsed.iso;
+}
+
+// Empty values sort last in either direction
+function compareBy(field, direction) {
+  const empty = (value) => value === null || value === undefined;
+  return (a, b) => {
+    if (empty(a[field])) return empty(b[field]) ? 0 : 1;
+    if (empty(b[field])) return -1;
+    if (a[field] < b[field]) return -direction;
+    if (a[field] > b[field]) return direction;
+    return 0;
+  };
+}
+
+// One page of a session's transactions, flattened with their sourceUrl.
+// `params` are raw query-string values; invalid ones throw.
+function querySessionTransactions(session, params = {}) {
+  const since = parseDateParam(params.since, "since");
+  const until = parseDateParam(params.until, "until");
+  const bedrooms = parseNumber(params.bedrooms, "bedrooms", { integer: true });
+  const minPrice = parseNumber(params.minPrice, "minPrice");
+  const maxPrice = parseNumber(params.maxPrice, "maxPrice");
+  const offset = parseNumber(params.offset, "offset", { integer: true }) || 0;
+  const limit = Math.min(
+    parseNumber(params.limit, "limit", { integer: true }) || DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE
+  );
+
+  const sort = params.sort || "transactionDate";
+  if (!/^\w+$/.test(sort)) {
+    throw new Error(`Invalid sort field "${sort}"`);
+  }
+  const order = (params.order || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw new Error('order must be "asc" or "desc"');
+  }
+
+  const rows = toRows(session).filter((row) => {
+    if (params.url && row.sourceUrl !== params.url) return false;
+    if (since && !(row.transactionDate >= since)) return false;
+    if (until && !(row.transactionDate <= until)) return false;
+    if (bedrooms !== null && row.bedroomCount !== bedrooms) return false;
+    if (minPrice !== null && !(row.priceValue >= minPrice)) return false;
+    if (maxPrice !== null && !(row.priceValue <= maxPrice)) return false;
+    return true;
+  });
+  rows.sort(compareBy(sort, order === "asc" ? 1 : -1));
+
+  return {
+    sessionId: session.sessionId,
+    total: rows.length,
+    offset,
+    limit,
+    transactions: rows.slice(offset, offset + limit),
+  };
+}
+
+class SessionStore {
+  constructor(dir = DEFAULT_OUTPUT_DIR) {
+    this.dir = dir;
+  }
+
+  fileFor(id) {
+    return path.join(this.dir, `bulk-crawl-${id}.json`);
+  }
+
+  async save(session) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = this.fileFor(session.sessionId);
+    await fs.writeFile(file, JSON.stringify(session, null, 2));
+    return file;
+  }
+
+  // Resolves to null when the session does not exist
+  async read(id) {
+    if (!isValidSessionId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(id), "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Resolves to false when there was nothing to delete
+  async remove(id) {
+    if (!isValidSessionId(id)) return false;
+    try {
+      await fs.unlink(this.fileFor(id));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  // Deletes sessions crawled before `before` (an ISO date or timestamp)
+  async removeBefore(before) {
+    const removed = [];
+    for (const session of await this.list()) {
+      if (session.crawledAt >= before) continue;
+      if (await this.remove(session.sessionId)) {
+        removed.push(session.sessionId);
+      }
+    }
+    return removed;
+  }
+
+  // The most recent full (not incremental or cancelled) successful result of
+  // each URL, searching sessions newest first. Map of url -> { sessionId,
+  // result }; URLs never crawled before are missing.
+  async latestResults(urls, { excludeSessionId } = {}) {
+    const wanted = new Set(urls);
+    const found = new Map();
+
+    for (const summary of await this.list()) {
+      if (found.size === wanted.size) break;
+      if (summary.sessionId === excludeSessionId) continue;
+
+      const session = await this.read(summary.sessionId);
+      ((session && session.results) || []).forEach((result) => {
+        if (
+          wanted.has(result.url) &&
+          !found.has(result.url) &&
+          result.success &&
+          result.data &&
+          !isPartial(result.data)
+        ) {
+          found.set(result.url, {
+            sessionId: summary.sessionId,
+            result: result.data,
+          });
+        }
+      });
+    }
+    return found;
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const file of files) {
+      const match = file.match(SESSION_FILE);
+      if (!match) continue;
+      try {
+        const session = await this.read(match[1]);
+        const stats = await fs.stat(path.join(this.dir, file));
+        sessions.push({
+          ...summarizeSession({ sessionId: match[1], ...session }),
+          crawledAt: session.crawledAt || stats.mtime.toISOString(),
+          fileSize: stats.size,
+        });
+      } catch (error) {
+        console.error(`Skipping unreadable session ${file}: ${error.message}`);
+      }
+    }
+
+    return sessions.sort((a, b) => b.crawledAt.localeCompare(a.crawledAt));
+  }
+}
+
+module.exports = {
+  SessionStore,
+  isValidSessionId,
+  querySessionTransactions,
+  summarizeSession,
+};
@@ -0,0 +1,117 @@
+// Archive of rendered price-history pages, so extraction can be re-run
+// offline (`reextract`) after a markup change or when a field is added. Each
+// page is saved once its rows are expanded, as
+// <dir>/<listing>/<crawl start>/page-<n>.html, starting with a comment that
+// holds the URL, page number and capture time.
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_SNAPSHOT_DIR =
+  process.env.CRAWLER_SNAPSHOTS_DIR || "output/snapshots";
+
+const HEADER = /^<!-- crawler-snapshot (.*?) -->\n/;
+
+// Last path segment of the listing URL, safe as a directory name
+function slugFor(url) {
+  const { hostname, pathname } = new URL(url);
+  const name = pathname.split("/").filter(Boolean).pop() || hostname;
+  return name.replace(/[^\w-]+/g, "-").slice(0, 100);
+}
+
+class SnapshotArchive {
+  constructor(dir = DEFAULT_SNAPSHOT_DIR) {
+    this.dir = dir;
+  }
+
+  // One crawl of `url`; its pages share a directory
+  startCrawl(url, { adapter } = {}) {
+    const crawledAt = new Date().toISOString();
+    return {
+      url,
+      adapter: adapter || null,
+      crawledAt,
+      dir: path.join(this.dir, slugFor(url), crawledAt.replace(/[:.]/g, "-")),
+    };
+  }
+
+  async save(crawl, pageNumber, page) {
+    const meta = {
+      url: crawl.url,
+      adapter: crawl.adapter,
+      crawledAt: crawl.crawledAt,
+      page: pageNumber,
+      capturedAt: new Date().toISOString(),
+    };
+    // "-->" would end the comment early
+    const header = JSON.stringify(meta).replace(/-->/g, "--\\u003e");
+    const file = path.join(crawl.dir, `page-${pageNumber}.html`);
+
+    await fs.mkdir(crawl.dir, { recursive: true });
+    await fs.writeFile(
+      file,
+      `<!-- crawler-snapshot ${header} -->\n${await page.content()}`
+    );
+    return file;
+  }
+}
+
+async function collectFiles(target, files) {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) {
+    files.push(target);
+    return;
+  }
+  const entries = await fs.readdir(target);
+  for (const entry of entries.sort()) {
+    await collectFiles(path.join(target, entry), files);
+  }
+}
+
+// Snapshots under the given files and directories, grouped into crawls of
+// { url, adapter, crawledAt, dir, pages } with pages in order. Files without
+// a snapshot header are skipped.
+async function readSnapshots(targets) {
+  const files = [];
+  for (const target of targets) {
+    await collectFiles(target, files);
+  }
+
+  const crawls = new Map();
+  for (const file of files.filter((name) => name.endsWith(".html"))) {
+    const text = await fs.readFile(file, "utf-8");
+    const match = text.match(HEADER);
+    if (!match) continue;
+
+    const meta = JSON.parse(match[1]);
+    const key = `${meta.url}\n${meta.crawledAt}`;
+    if (!crawls.has(key)) {
+      crawls.set(key, {
+        url: meta.url,
+        adapter: meta.adapter,
+        crawledAt: meta.crawledAt,
+        dir: path.dirname(file),
+        pages: [],
+      });
+    }
+    crawls.get(key).pages.push({
+      page: meta.page,
+      capturedAt: meta.capturedAt,
+      file,
+      html: text.slice(match[0].length),
+    });
+  }
+
+  return [...crawls.values()]
+    .map((crawl) => {
+      crawl.pages.sort((a, b) => a.page - b.page);
+      return crawl;
+    })
+    .sort((a, b) => a.crawledAt.localeCompare(b.crawledAt));
+}
+
+module.exports = {
+  DEFAULT_SNAPSHOT_DIR,
+  SnapshotArchive,
+  readSnapshots,
+};
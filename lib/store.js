@@ -0,0 +1,267 @@
+// Embedded SQLite store for crawled transactions. Every crawl is recorded as
+// a run, and transactions are deduplicated per listing on a stable key so
+// re-crawling a listing only adds what is new.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DB_FILE = process.env.CRAWLER_DB || "output/crawler.db";
+
+// A row limit as a number, from the CLI's or a query string's text
+function parseLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error(`limit must be a positive integer (got "${value}")`);
+  }
+  return limit;
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS listings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL UNIQUE,
+    first_crawled_at TEXT NOT NULL,
+    last_crawled_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS crawl_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    listing_id INTEGER NOT NULL REFERENCES listings(id),
+    session_id TEXT,
+    source TEXT NOT NULL,
+    crawled_at TEXT NOT NULL,
+    total_transactions INTEGER NOT NULL DEFAULT 0,
+    new_transactions INTEGER NOT NULL DEFAULT 0,
+    error TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    listing_id INTEGER NOT NULL REFERENCES listings(id),
+    dedupe_key TEXT NOT NULL,
+    transaction_date TEXT,
+    address TEXT,
+    price_value INTEGER,
+    price_per_sqft_value INTEGER,
+    size_sqft REAL,
+    bedroom_count INTEGER,
+    data TEXT NOT NULL,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    first_run_id INTEGER REFERENCES crawl_runs(id),
+    last_run_id INTEGER REFERENCES crawl_runs(id),
+    UNIQUE (listing_id, dedupe_key)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_transactions_date
+    ON transactions (transaction_date);
+`;
+
+function normalizeKeyPart(value) {
+  if (value === undefined || value === null) return "";
+  return String(value).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// Date + address + price + size, preferring the typed fields so that
+// "S$ 1.25M" and "S$ 1,250,000" produce the same key
+function transactionKey(transaction) {
+  const parts = [
+    transaction.transactionDate || transaction.date,
+    transaction.address,
+    transaction.priceValue ?? transaction.price,
+    transaction.sizeSqft ?? transaction.size,
+  ].map(normalizeKeyPart);
+
+  return crypto.createHash("sha1").update(parts.join("|")).digest("hex");
+}
+
+class TransactionStore {
+  constructor(file = DEFAULT_DB_FILE) {
+    const Database = require("better-sqlite3");
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+    this.db.exec(SCHEMA);
+  }
+
+  getListing(url) {
+    return this.db.prepare("SELECT * FROM listings WHERE url = ?").get(url);
+  }
+
+  upsertListing(url, crawledAt) {
+    this.db
+      .prepare(
+        `INSERT INTO listings (url, first_crawled_at, last_crawled_at)
+         VALUES (?, ?, ?)
+         ON CONFLICT (url) DO UPDATE SET last_crawled_at = excluded.last_crawled_at`
+      )
+      .run(url, crawledAt, crawledAt);
+    return this.getListing(url).id;
+  }
+
+  // Records one crawl of one listing and merges its transactions.
+  // Returns the run id and how many transactions were new.
+  recordCrawl({ url, sessionId = null, source, transactions = [], error }) {
+    const crawledAt = new Date().toISOString();
+
+    const insertRun = this.db.prepare(
+      `INSERT INTO crawl_runs
+         (listing_id, session_id, source, crawled_at, total_transactions, error)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    const upsertTransaction = this.db.prepare(
+      `INSERT INTO transactions
+         (listing_id, dedupe_key, transaction_date, address, price_value,
+          price_per_sqft_value, size_sqft, bedroom_count, data,
+          first_seen_at, last_seen_at, first_run_id, last_run_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (listing_id, dedupe_key) DO UPDATE SET
+         data = excluded.data,
+         last_seen_at = excluded.last_seen_at,
+         last_run_id = excluded.last_run_id`
+    );
+    const exists = this.db.prepare(
+      "SELECT 1 FROM transactions WHERE listing_id = ? AND dedupe_key = ?"
+    );
+
+    const record = this.db.transaction(() => {
+      const listingId = this.upsertListing(url, crawledAt);
+      const runId = insertRun.run(
+        listingId,
+        sessionId,
+        source,
+        crawledAt,
+        transactions.length,
+        error || null
+      ).lastInsertRowid;
+
+      let newTransactions = 0;
+      transactions.forEach((transaction) => {
+        const key = transactionKey(transaction);
+        if (!exists.get(listingId, key)) {
+          newTransactions++;
+        }
+        upsertTransaction.run(
+          listingId,
+          key,
+          transaction.transactionDate ?? null,
+          transaction.address ?? null,
+          transaction.priceValue ?? null,
+          transaction.pricePerSqftValue ?? null,
+          transaction.sizeSqft ?? null,
+          transaction.bedroomCount ?? null,
+          JSON.stringify(transaction),
+          crawledAt,
+          crawledAt,
+          runId,
+          runId
+        );
+      });
+
+      this.db
+        .prepare("UPDATE crawl_runs SET new_transactions = ? WHERE id = ?")
+        .run(newTransactions, runId);
+
+      return { runId: Number(runId), newTransactions };
+    });
+
+    return record();
+  }
+
+  getTransactionKeys(url) {
+    return this.db
+      .prepare(
+        `SELECT t.dedupe_key FROM transactions t
+         JOIN listings l ON l.id = t.listing_id
+         WHERE l.url = ?`
+      )
+      .pluck()
+      .all(url);
+  }
+
+  queryTransactions(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.url) {
+      conditions.push("l.url = ?");
+      params.push(filters.url);
+    }
+    if (filters.since) {
+      conditions.push("t.transaction_date >= ?");
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push("t.transaction_date <= ?");
+      params.push(filters.until);
+    }
+    if (filters.bedrooms !== undefined) {
+      conditions.push("t.bedroom_count = ?");
+      params.push(filters.bedrooms);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    let limit = "";
+    if (filters.limit) {
+      limit = "LIMIT ?";
+      params.push(parseLimit(filters.limit));
+    }
+
+    return this.db
+      .prepare(
+        `SELECT l.url, t.data, t.first_seen_at, t.last_seen_at
+         FROM transactions t
+         JOIN listings l ON l.id = t.listing_id
+         ${where}
+         ORDER BY t.transaction_date DESC, t.id
+         ${limit}`
+      )
+      .all(...params)
+      .map((row) => ({
+        sourceUrl: row.url,
+        ...JSON.parse(row.data),
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at,
+      }));
+  }
+
+  listListings() {
+    return this.db
+      .prepare(
+        `SELECT l.url, l.first_crawled_at, l.last_crawled_at,
+                COUNT(t.id) AS transactions
+         FROM listings l
+         LEFT JOIN transactions t ON t.listing_id = l.id
+         GROUP BY l.id
+         ORDER BY l.last_crawled_at DESC`
+      )
+      .all();
+  }
+
+  listRuns(limit = 50) {
+    return this.db
+      .prepare(
+        `SELECT r.id, l.url, r.session_id, r.source, r.crawled_at,
+                r.total_transactions, r.new_transactions, r.error
+         FROM crawl_runs r
+         JOIN listings l ON l.id = r.listing_id
+         ORDER BY r.id DESC
+         LIMIT ?`
+      )
+      .all(parseLimit(limit));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_DB_FILE,
+  TransactionStore,
+  transactionKey,
+};
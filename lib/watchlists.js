@@ -0,0 +1,259 @@
+// Named lists of listing URLs crawled on a cron schedule. The store keeps the
+// watchlists and their run history in one JSON file; the scheduler starts
+// runs when they are due and never lets two runs of a watchlist overlap.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { nextRun, parseCron } = require("./cron");
+const { createId } = require("./ids");
+
+const DEFAULT_WATCHLISTS_FILE =
+  process.env.CRAWLER_WATCHLISTS_FILE || "output/watchlists.json";
+
+// Runs kept per watchlist, newest first
+const MAX_RUN_HISTORY = 50;
+const CHECK_INTERVAL = 30 * 1000;
+
+// Checks the fields present in `input`; with `partial` the required ones may
+// be missing (updates). Returns an error message or null.
+function validateWatchlist(input = {}, { partial = false } = {}) {
+  const { name, urls, schedule, enabled, options } = input;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      return "name is required";
+    }
+  }
+  if (!partial || urls !== undefined) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return "urls must be a non-empty array";
+    }
+  }
+  if (!partial || schedule !== undefined) {
+    try {
+      if (!nextRun(parseCron(schedule))) {
+        return `Schedule "${schedule}" never runs`;
+      }
+    } catch (error) {
+      return error.message;
+    }
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "enabled must be true or false";
+  }
+  if (options !== undefined && (typeof options !== "object" || !options)) {
+    return "options must be an object";
+  }
+  return null;
+}
+
+class WatchlistStore {
+  constructor(file = DEFAULT_WATCHLISTS_FILE) {
+    this.file = file;
+    this.watchlists = [];
+    this.writes = Promise.resolve();
+  }
+
+  // Runs still marked running belong to a previous server process; their
+  // job is resumed on its own, but the run can no longer be followed
+  async load() {
+    try {
+      this.watchlists = JSON.parse(await fs.readFile(this.file, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.watchlists = [];
+    }
+
+    let interrupted = false;
+    this.watchlists.forEach((watchlist) => {
+      watchlist.runs
+        .filter((run) => run.status === "running")
+        .forEach((run) => {
+          run.status = "interrupted";
+          run.finishedAt = run.finishedAt || new Date().toISOString();
+          interrupted = true;
+        });
+    });
+    if (interrupted) await this.save();
+    return this.watchlists;
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.watchlists, null, 2);
+    this.writes = this.writes
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(`${this.file}.tmp`, snapshot);
+        await fs.rename(`${this.file}.tmp`, this.file);
+      });
+    return this.writes;
+  }
+
+  list() {
+    return this.watchlists;
+  }
+
+  get(id) {
+    return this.watchlists.find((watchlist) => watchlist.id === id) || null;
+  }
+
+  async create({ name, urls, schedule, options = {}, enabled = true }) {
+    const now = new Date().toISOString();
+    const watchlist = {
+      id: createId(),
+      name: name.trim(),
+      urls,
+      schedule: schedule.trim(),
+      options,
+      enabled,
+      createdAt: now,
+      updatedAt: now,
+      runs: [],
+    };
+    this.watchlists.push(watchlist);
+    await this.save();
+    return watchlist;
+  }
+
+  async update(watchlist, changes) {
+    ["name", "urls", "schedule", "options", "enabled"].forEach((field) => {
+      if (changes[field] !== undefined) watchlist[field] = changes[field];
+    });
+    watchlist.updatedAt = new Date().toISOString();
+    await this.save();
+    return watchlist;
+  }
+
+  async remove(id) {
+    const before = this.watchlists.length;
+    this.watchlists = this.watchlists.filter(
+      (watchlist) => watchlist.id !== id
+    );
+    if (this.watchlists.length === before) return false;
+    await this.save();
+    return true;
+  }
+
+  async addRun(watchlist, run) {
+    watchlist.runs.unshift(run);
+    watchlist.runs.length = Math.min(watchlist.runs.length, MAX_RUN_HISTORY);
+    await this.save();
+    return run;
+  }
+
+  // Deleted watchlists may still be finishing a run; nothing is saved then
+  async finishRun(watchlist, run, fields) {
+    Object.assign(run, fields, { finishedAt: new Date().toISOString() });
+    if (this.get(watchlist.id)) await this.save();
+    return run;
+  }
+}
+
+// `runWatchlist(watchlist, run)` does the crawl and resolves to the fields to
+// record on the run. `isBusy(watchlist)` reports runs the scheduler did not
+// start itself, such as jobs resumed after a restart.
+class WatchlistScheduler {
+  constructor(store, runWatchlist, options = {}) {
+    this.store = store;
+    this.runWatchlist = runWatchlist;
+    this.isBusy = options.isBusy || (() => false);
+    this.interval = options.interval || CHECK_INTERVAL;
+    this.running = new Map();
+    this.nextRuns = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => {
+        console.error(`Watchlist scheduler failed: ${error.message}`);
+      });
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isRunning(watchlist) {
+    return this.running.has(watchlist.id) || this.isBusy(watchlist);
+  }
+
+  // Next due time, kept until it has passed so a slow tick can't skip it
+  nextRunAt(watchlist) {
+    const cached = this.nextRuns.get(watchlist.id);
+    if (cached && cached.schedule === watchlist.schedule) return cached.at;
+
+    const at = nextRun(parseCron(watchlist.schedule));
+    this.nextRuns.set(watchlist.id, { schedule: watchlist.schedule, at });
+    return at;
+  }
+
+  async tick(now = new Date()) {
+    for (const watchlist of this.store.list()) {
+      // Re-enabled watchlists start counting from when they are enabled
+      if (!watchlist.enabled) {
+        this.nextRuns.delete(watchlist.id);
+        continue;
+      }
+
+      const due = this.nextRunAt(watchlist);
+      if (!due || due > now) continue;
+      this.nextRuns.delete(watchlist.id);
+      await this.trigger(watchlist, "schedule");
+    }
+  }
+
+  // Starts a run unless one is already in progress. Resolves to the run
+  // record, or null when it was skipped.
+  async trigger(watchlist, trigger = "manual") {
+    if (this.isRunning(watchlist)) {
+      if (trigger === "schedule") {
+        const now = new Date().toISOString();
+        await this.store.addRun(watchlist, {
+          trigger,
+          status: "skipped",
+          reason: "Previous run still in progress",
+          startedAt: now,
+          finishedAt: now,
+        });
+      }
+      return null;
+    }
+
+    const run = {
+      trigger,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    const done = this.store
+      .addRun(watchlist, run)
+      .then(() => this.runWatchlist(watchlist, run))
+      .then(
+        (fields) => this.store.finishRun(watchlist, run, fields),
+        (error) =>
+          this.store.finishRun(watchlist, run, {
+            status: "failed",
+            error: error.message,
+          })
+      )
+      .catch((error) => {
+        console.error(
+          `Failed to save run of watchlist ${watchlist.id}: ${error.message}`
+        );
+      })
+      .finally(() => this.running.delete(watchlist.id));
+    this.running.set(watchlist.id, done);
+    return run;
+  }
+}
+
+module.exports = {
+  WatchlistScheduler,
+  WatchlistStore,
+  validateWatchlist,
+};
@@ -0,0 +1,684 @@
+// Configurable crawler driven by a declarative extraction schema:
+//
+//   {
+//     name: "products",
+//     waitFor: ".results",              // must appear before extracting
+//     rowSelector: ".product-card",     // one record per match
+//     fields: {
+//       title: "h3",                                   // text of a selector
+//       link: { selector: "a", attribute: "href" },    // attribute
+//       price: { selector: ".price", transform: "amount" },
+//       tags: { selector: ".tag", multiple: true },
+//       note: { selector: ".note", scope: "next" },    // in the next sibling
+//       sku: { from: "link", pattern: "-(\\d+)$" },    // derived field
+//     },
+//     setup: [{ click: ".cookie-ok" }],                // once, after loading
+//     beforePage: [{ click: ".expand", all: true }],   // before each page
+//     transform: (rows) => rows,                       // whole-page transform
+//     capture: { match: "/api/price-history" },        // rows from XHR JSON
+//     pagination: {
+//       nextButton: ".next",
+//       disabled: { closest: "li", className: "disabled" },
+//       maxPages: 10,
+//     },
+//   }
+//
+// Schemas can be plain JSON; JS schemas may also use functions for
+// transforms and actions.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { launchBrowser, newPage } = require("./browser");
+const {
+  normalizeTransactions,
+  parseAmount,
+  parseBedrooms,
+  parseDate,
+} = require("./normalize");
+const { ResponseCapture } = require("./network-capture");
+const { CrawlTimer, applyProfile, paginationFor } = require("./profiles");
+
+// Named field transforms, usable from JSON schemas
+const FIELD_TRANSFORMS = {
+  trim: (value) => String(value).trim(),
+  collapseWhitespace: (value) => String(value).replace(/\s+/g, " ").trim(),
+  lowercase: (value) => String(value).toLowerCase(),
+  uppercase: (value) => String(value).toUpperCase(),
+  number: (value) => {
+    const match = String(value).replace(/,/g, "").match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  },
+  integer: (value) => {
+    const match = String(value).replace(/,/g, "").match(/-?\d+/);
+    return match ? parseInt(match[0], 10) : null;
+  },
+  amount: parseAmount,
+  bedrooms: parseBedrooms,
+  date: (value) => {
+    const date = parseDate(value);
+    return date ? date.iso : null;
+  },
+};
+
+// Named whole-page transforms
+const ROW_TRANSFORMS = {
+  normalizeTransactions: (rows) => normalizeTransactions(rows),
+};
+
+// Used when pagination only names a next button
+const DEFAULT_DISABLED_CHECK = { closest: "li", className: "disabled" };
+
+function resolveTransform(transform, registry, kind) {
+  if (typeof transform === "function") return transform;
+  if (registry[transform]) return registry[transform];
+  throw new Error(
+    `Unknown ${kind} transform "${transform}" (available: ${Object.keys(
+      registry
+    ).join(", ")})`
+  );
+}
+
+function normalizeField(spec) {
+  return typeof spec === "string" ? { selector: spec } : spec || {};
+}
+
+// Checks a schema up front so a typo fails before the browser starts
+function compileSchema(schema) {
+  if (!schema || typeof schema !== "object") {
+    throw new Error("Schema must be an object");
+  }
+  if (!schema.fields || Object.keys(schema.fields).length === 0) {
+    throw new Error("Schema needs at least one field");
+  }
+
+  const fields = {};
+  Object.entries(schema.fields).forEach(([name, spec]) => {
+    const field = normalizeField(spec);
+    if (field.from && !schema.fields[field.from]) {
+      throw new Error(
+        `Field "${name}" is derived from unknown "${field.from}"`
+      );
+    }
+    []
+      .concat(field.transform || [])
+      .forEach((transform) =>
+        resolveTransform(transform, FIELD_TRANSFORMS, "field")
+      );
+    fields[name] = field;
+  });
+
+  if (schema.transform) {
+    resolveTransform(schema.transform, ROW_TRANSFORMS, "row");
+  }
+
+  const pagination = schema.pagination
+    ? {
+        disabled: DEFAULT_DISABLED_CHECK,
+        wait: 2000,
+        ...schema.pagination,
+      }
+    : null;
+  if (pagination && !pagination.nextButton) {
+    throw new Error("Schema pagination needs a nextButton selector");
+  }
+
+  if (schema.capture && !schema.capture.match) {
+    throw new Error("Schema capture needs a match pattern for response paths");
+  }
+  const capture = schema.capture
+    ? { ...schema.capture, match: new RegExp(schema.capture.match) }
+    : null;
+
+  return { ...schema, fields, pagination, capture };
+}
+
+// Runs in the browser: raw field values for every row
+function extractInPage({ rowSelector, fields }) {
+  const read = (element, field) => {
+    if (field.html) return element.innerHTML;
+    if (field.attribute === "href" && element.href) return element.href;
+    if (field.attribute) return element.getAttribute(field.attribute);
+    return element.textContent.trim();
+  };
+
+  const rows = rowSelector
+    ? Array.from(document.querySelectorAll(rowSelector))
+    : [document];
+
+  return rows.map((row) => {
+    const record = {};
+    Object.entries(fields).forEach(([name, field]) => {
+      let root = row;
+      if (field.scope === "next") root = row.nextElementSibling;
+      else if (field.scope === "page") root = document;
+      if (!root) return;
+
+      if (field.multiple) {
+        const elements = field.selector
+          ? Array.from(root.querySelectorAll(field.selector))
+          : [root];
+        record[name] = elements.map((element) => read(element, field));
+        return;
+      }
+
+      const element = field.selector
+        ? root.querySelector(field.selector)
+        : root;
+      if (element) {
+        record[name] = read(element, field);
+      }
+    });
+    return record;
+  });
+}
+
+function applyFieldTransforms(record, fields) {
+  Object.entries(fields).forEach(([name, field]) => {
+    let value = field.from ? record[field.from] : record[name];
+
+    if (value !== undefined && value !== null && field.pattern) {
+      const match = String(value).match(new RegExp(field.pattern, field.flags));
+      value = match ? match[field.group ?? 1] ?? match[0] : null;
+    }
+
+    []
+      .concat(field.transform || [])
+      .forEach((transform) => {
+        if (value !== undefined && value !== null) {
+          value = resolveTransform(transform, FIELD_TRANSFORMS, "field")(value);
+        }
+      });
+
+    if (value === undefined || value === null) {
+      if (field.default !== undefined) record[name] = field.default;
+      else delete record[name];
+    } else {
+      record[name] = value;
+    }
+  });
+  return record;
+}
+
+// Extracts one page of records from `page` with a compiled schema
+async function extractRows(page, schema) {
+  const browserFields = {};
+  Object.entries(schema.fields).forEach(([name, field]) => {
+    if (!field.from) {
+      browserFields[name] = {
+        selector: field.selector,
+        attribute: field.attribute,
+        html: field.html,
+        scope: field.scope,
+        multiple: field.multiple,
+      };
+    }
+  });
+
+  const raw = await page.evaluate(extractInPage, {
+    rowSelector: schema.rowSelector,
+    fields: browserFields,
+  });
+  return transformRecords(raw, schema);
+}
+
+// Applies a schema's field and page transforms to raw records, whether
+// scraped from the page or mapped from a captured payload
+function transformRecords(records, schema) {
+  const rows = records.map((record) =>
+    applyFieldTransforms(record, schema.fields)
+  );
+
+  return schema.transform
+    ? resolveTransform(schema.transform, ROW_TRANSFORMS, "row")(rows)
+    : rows;
+}
+
+// Starts recording the schema's payloads on `page`, or returns null when the
+// schema has no capture or it was turned off
+function startCapture(page, schema, options = {}) {
+  if (!schema.capture || options.enabled === false) return null;
+  return new ResponseCapture(page, schema.capture, {
+    areaUnit: options.areaUnit,
+    hosts: options.hosts,
+  }).start();
+}
+
+// One page of the table: the first payload captured since `mark` when one
+// arrives within `timeout` ms, otherwise the rows scraped from the page.
+// `snapshot(page)` is called once the rows are expanded; with it, rows are
+// expanded even when the payload already has them. Resolves to { rows,
+// source, total }, `source` being "network" or "dom".
+async function readTablePage(
+  page,
+  schema,
+  capture,
+  { mark, timeout, snapshot } = {}
+) {
+  const payload = capture
+    ? await capture.waitForPayload(mark, timeout)
+    : null;
+  if (!payload || snapshot) {
+    await runActions(page, schema.beforePage);
+  }
+  if (snapshot) {
+    await snapshot(page);
+  }
+
+  if (payload) {
+    return {
+      rows: transformRecords(payload.rows, schema),
+      source: "network",
+      total: payload.total,
+    };
+  }
+  return { rows: await extractRows(page, schema), source: "dom", total: null };
+}
+
+// Which path produced a crawl's rows, from its per-source page counts;
+// `method` is null when no page was read
+function describeExtraction({ network = 0, dom = 0 }) {
+  let method = null;
+  if (network > 0) method = dom > 0 ? "mixed" : "network";
+  else if (dom > 0) method = "dom";
+  return { method, networkPages: network, domPages: dom };
+}
+
+// Actions are functions `(page) => ...`, `{ click, all, wait }`,
+// `{ scroll: "bottom", wait }` or `{ wait }`
+async function runActions(page, actions = []) {
+  for (const action of actions) {
+    if (typeof action === "function") {
+      await action(page);
+      continue;
+    }
+    if (action.click) {
+      await page.evaluate(
+        (selector, all) => {
+          const elements = all
+            ? Array.from(document.querySelectorAll(selector))
+            : [document.querySelector(selector)].filter(Boolean);
+          elements.forEach((element) => element.click());
+        },
+        action.click,
+        Boolean(action.all)
+      );
+    }
+    if (action.scroll === "bottom") {
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    }
+    if (action.wait) {
+      await new Promise((resolve) => setTimeout(resolve, action.wait));
+    }
+  }
+}
+
+// Whether the pagination's next button exists and is enabled
+async function nextPageState(page, pagination) {
+  return page.evaluate(
+    (nextButton, disabled) => {
+      const button = document.querySelector(nextButton);
+      if (!button) return { exists: false, enabled: false };
+
+      let isDisabled =
+        button.disabled || button.getAttribute("aria-disabled") === "true";
+      if (typeof disabled === "string") {
+        isDisabled = isDisabled || Boolean(document.querySelector(disabled));
+      } else if (disabled) {
+        const holder = disabled.closest
+          ? button.closest(disabled.closest)
+          : button;
+        isDisabled =
+          isDisabled ||
+          Boolean(holder && holder.classList.contains(disabled.className));
+      }
+
+      return { exists: true, enabled: !isDisabled };
+    },
+    pagination.nextButton,
+    pagination.disabled
+  );
+}
+
+async function goToNextPage(page, pagination) {
+  await page.click(pagination.nextButton);
+  await new Promise((resolve) => setTimeout(resolve, pagination.wait));
+  await page.waitForNetworkIdle({ timeout: 5000 }).catch(() => {});
+}
+
+class WebCrawler {
+  constructor(options = {}) {
+    this.headless = options.headless !== false;
+    this.timeout = options.timeout || 30000;
+    // Time to let the page settle after loading and after actions (ms)
+    this.waitForSelector = options.waitForSelector ?? 2000;
+    this.outputDir = options.outputDir || "./output";
+    this.log = options.log || ((message) => console.log(message));
+    // Crawl profile (getProfile) for the page's resource blocking, viewport,
+    // load strategy and pagination wait; `assetHosts` as for adapters
+    this.profile = options.profile || null;
+    this.assetHosts = options.assetHosts || [];
+    // Parsed proxy (lib/proxies.js) and { userAgent, viewport } to crawl with
+    this.proxy = options.proxy || null;
+    this.identity = options.identity || null;
+    this.browser = null;
+    this.page = null;
+  }
+
+  async init() {
+    if (!this.browser) {
+      this.browser = await launchBrowser({
+        headless: this.headless,
+        proxy: this.proxy,
+      });
+      this.page = await newPage(this.browser, {
+        userAgent: this.identity ? this.identity.userAgent : undefined,
+        proxy: this.proxy,
+      });
+      if (this.profile) {
+        await applyProfile(this.page, this.profile, {
+          assetHosts: this.assetHosts,
+        });
+      }
+      if (this.identity && this.identity.viewport) {
+        await this.page.setViewport(this.identity.viewport);
+      }
+    }
+    return this.page;
+  }
+
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+    }
+    this.browser = null;
+    this.page = null;
+  }
+
+  async settle(ms = this.waitForSelector) {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Records for every element matching `selector`. `extractors` maps field
+  // names to schema field specs; without it each element is dumped as
+  // text, HTML, tag name and attributes.
+  async extractData(selector, extractors) {
+    if (extractors) {
+      return extractRows(
+        this.page,
+        compileSchema({ rowSelector: selector, fields: extractors })
+      );
+    }
+
+    return this.page.evaluate((sel) => {
+      return Array.from(document.querySelectorAll(sel)).map((element) => ({
+        text: element.innerText || element.textContent || "",
+        html: element.innerHTML,
+        tagName: element.tagName.toLowerCase(),
+        attributes: Array.from(element.attributes).reduce((attrs, attr) => {
+          attrs[attr.name] = attr.value;
+          return attrs;
+        }, {}),
+      }));
+    }, selector);
+  }
+
+  // One record per body row, keyed by the header cells (or column index)
+  async extractTableData(tableSelector = "table") {
+    return this.page.evaluate((sel) => {
+      const table = document.querySelector(sel);
+      if (!table) return [];
+
+      const headerCells = table.querySelectorAll("thead th").length
+        ? table.querySelectorAll("thead th")
+        : table.querySelectorAll("tr:first-child th");
+      const headers = Array.from(headerCells).map((cell) =>
+        cell.textContent.trim()
+      );
+
+      return Array.from(table.querySelectorAll("tr"))
+        .filter((row) => row.querySelector("td"))
+        .map((row) => {
+          const record = {};
+          Array.from(row.querySelectorAll("td")).forEach((cell, index) => {
+            record[headers[index] || `column${index + 1}`] =
+              cell.textContent.trim();
+          });
+          return record;
+        });
+    }, tableSelector);
+  }
+
+  async extractPage(selector, options) {
+    if (options.schema) return extractRows(this.page, options.schema);
+    if (options.customExtractor) {
+      return options.customExtractor(this.page, selector);
+    }
+    if (options.extractTableData) return this.extractTableData(selector);
+    return this.extractData(selector);
+  }
+
+  // `dataSelector` is a CSS selector or a schema. Returns { data, pages,
+  // pageRows, found, extraction, timings }; `pageRows` counts each page's
+  // records (0 for a page whose rows never appeared), `found` is false when
+  // the schema's `waitFor` never appeared, `extraction` tells whether the
+  // rows came from captured payloads or the page (see describeExtraction)
+  // and `timings` are a CrawlTimer's.
+  //
+  // Schemas with a `capture` read their rows from the page's JSON responses
+  // unless `options.capture` is false; `options.areaUnit` is the unit of bare
+  // sizes in those payloads, and `options.hosts` the site's host patterns
+  // (the page's own host when omitted). With a schema, `options.snapshot(page,
+  // pageNumber)` runs on each page once its rows are expanded.
+  //
+  // Hooks: `navigate(page, url)` replaces the default load-and-scroll,
+  // `onLoad(page)` runs once the page has loaded, and
+  // `onPage(rows, pageNumber)` may return { rows, stop } to replace a
+  // page's rows or stop paging.
+  async crawlWithPagination(url, dataSelector, options = {}) {
+    const schema =
+      typeof dataSelector === "object"
+        ? compileSchema(dataSelector)
+        : options.schema
+        ? compileSchema(options.schema)
+        : null;
+    const selector = schema ? schema.rowSelector : dataSelector;
+
+    let pagination = schema
+      ? paginationFor(schema.pagination, this.profile)
+      : null;
+    if (options.nextButtonSelector) {
+      pagination = {
+        disabled: DEFAULT_DISABLED_CHECK,
+        wait: this.waitForSelector,
+        ...pagination,
+        nextButton: options.nextButtonSelector,
+      };
+    }
+    const maxPages =
+      options.maxPages || (pagination && pagination.maxPages) || Infinity;
+
+    const page = await this.init();
+    const capture = schema
+      ? startCapture(page, schema, {
+          enabled: options.capture,
+          areaUnit: options.areaUnit,
+          hosts: options.hosts,
+        })
+      : null;
+
+    try {
+      this.log(`Navigating to ${url}...`);
+      const timer = new CrawlTimer();
+      if (options.navigate) {
+        await options.navigate(page, url);
+      } else {
+        await page.goto(url, {
+          waitUntil: this.profile ? this.profile.waitUntil : "networkidle2",
+          timeout: this.timeout,
+        });
+        await runActions(page, [
+          { scroll: "bottom", wait: this.waitForSelector },
+        ]);
+      }
+      timer.record("navigation");
+
+      if (options.onLoad) {
+        await options.onLoad(page);
+      }
+
+      if (schema && schema.waitFor) {
+        try {
+          await page.waitForSelector(schema.waitFor, { timeout: 10000 });
+        } catch (err) {
+          return {
+            data: [],
+            pages: 0,
+            found: false,
+            timings: timer.timings(),
+          };
+        }
+      }
+
+      if (schema && schema.setup) {
+        await runActions(page, schema.setup);
+        await page.waitForNetworkIdle({ timeout: 5000 }).catch(() => {});
+      }
+      timer.record("tableReady");
+
+      let data = [];
+      let pages = 0;
+      // Pages read per source, records per page, and records seen against the
+      // payload's total
+      const sources = { network: 0, dom: 0 };
+      const pageRows = [];
+      let seen = 0;
+      let total = null;
+      let mark = 0;
+      let captureTimeout = 0;
+
+      while (true) {
+        if (selector) {
+          try {
+            await page.waitForSelector(selector, { timeout: 10000 });
+          } catch (err) {
+            pageRows.push(0);
+            break;
+          }
+        }
+
+        pages++;
+        this.log(`\nScraping page ${pages}...`);
+
+        let rows;
+        if (schema) {
+          const pageNumber = pages;
+          const snapshot = options.snapshot
+            ? (current) => options.snapshot(current, pageNumber)
+            : null;
+          const table = await readTablePage(page, schema, capture, {
+            mark,
+            timeout: captureTimeout,
+            snapshot,
+          });
+          rows = table.rows;
+          sources[table.source]++;
+          total = table.total ?? total;
+          this.log(
+            `Found ${rows.length} record(s) on page ${pages} (${table.source})`
+          );
+        } else {
+          rows = await this.extractPage(selector, options);
+          sources.dom++;
+          this.log(`Found ${rows.length} record(s) on page ${pages}`);
+        }
+        timer.record("page");
+        seen += rows.length;
+        pageRows.push(rows.length);
+
+        let stop = false;
+        if (options.onPage) {
+          const outcome = (await options.onPage(rows, pages)) || {};
+          rows = outcome.rows || rows;
+          stop = Boolean(outcome.stop);
+        }
+        data = data.concat(rows);
+        if (stop || !pagination) break;
+        if (total !== null && seen >= total) {
+          this.log(`\nAll ${total} record(s) read`);
+          break;
+        }
+
+        const next = await nextPageState(page, pagination);
+        if (!next.exists || !next.enabled) {
+          this.log(`\nNo more pages to scrape (reached last page)`);
+          break;
+        }
+        if (pages >= maxPages) break;
+
+        this.log(`Navigating to next page...`);
+        try {
+          if (capture) {
+            // The page's payload replaces the fixed wait
+            mark = capture.mark();
+            captureTimeout = pagination.wait;
+            await goToNextPage(page, { ...pagination, wait: 0 });
+          } else {
+            await goToNextPage(page, pagination);
+          }
+        } catch (error) {
+          this.log(`Error clicking next page: ${error.message}`);
+          break;
+        }
+      }
+
+      return {
+        data,
+        pages,
+        pageRows,
+        found: true,
+        extraction: describeExtraction(sources),
+        timings: timer.timings(),
+      };
+    } finally {
+      if (capture) capture.stop();
+    }
+  }
+
+  // Crawls `url` and returns the records of every page, saving them to
+  // `options.outputFile` (inside outputDir) when given
+  async crawl(url, selector, options = {}) {
+    try {
+      const { data } = await this.crawlWithPagination(url, selector, options);
+      if (options.outputFile) {
+        await this.saveToJSON(data, options.outputFile);
+      }
+      return data;
+    } finally {
+      await this.close();
+    }
+  }
+
+  async saveToJSON(data, filename) {
+    const file = path.isAbsolute(filename)
+      ? filename
+      : path.join(this.outputDir, filename);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+    this.log(`Data saved to ${file}`);
+    return file;
+  }
+}
+
+module.exports = {
+  FIELD_TRANSFORMS,
+  ROW_TRANSFORMS,
+  WebCrawler,
+  compileSchema,
+  describeExtraction,
+  extractRows,
+  goToNextPage,
+  nextPageState,
+  readTablePage,
+  runActions,
+  startCapture,
+};
@@ -0,0 +1,240 @@
+// Delivers change events to webhooks. A webhook gets either the change event
+// as a JSON POST body ("json") or a Slack-compatible { text } message
+// ("slack"). Failed deliveries are retried with backoff, and every attempt is
+// appended to an NDJSON delivery log.
+
+const fs = require("fs").promises;
+const path = require("path");
+const { CHANGE_TYPES, describeChange } = require("./changes");
+const { backoffDelay } = require("./errors");
+const { createId } = require("./ids");
+const { sleep } = require("./rate-limiter");
+
+const DEFAULT_WEBHOOKS_FILE =
+  process.env.CRAWLER_WEBHOOKS_FILE || "output/webhooks.json";
+const DEFAULT_DELIVERY_LOG =
+  process.env.CRAWLER_WEBHOOK_LOG || "output/webhook-deliveries.ndjson";
+
+const WEBHOOK_FORMATS = ["json", "slack"];
+
+const DELIVERY_POLICY = {
+  maxAttempts: 4,
+  baseDelay: 2000,
+  factor: 2,
+  maxDelay: 30000,
+};
+const DELIVERY_TIMEOUT = 10000;
+
+function validateWebhook({ url, format = "json", events } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "url must be an http(s) URL";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "url must be an http(s) URL";
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    return `format must be one of: ${WEBHOOK_FORMATS.join(", ")}`;
+  }
+  if (events !== undefined) {
+    const unknown = []
+      .concat(events)
+      .filter((type) => !CHANGE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return `Unknown event types: ${unknown.join(", ")} (expected ${CHANGE_TYPES.join(", ")})`;
+    }
+  }
+  return null;
+}
+
+function buildPayload(webhook, change) {
+  if (webhook.format === "slack") {
+    return { text: `🏡 ${describeChange(change)}` };
+  }
+  return change;
+}
+
+// Network errors, rate limiting and server errors are worth another attempt
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Webhook registrations, kept in one JSON file
+class WebhookStore {
+  constructor(file = DEFAULT_WEBHOOKS_FILE) {
+    this.file = file;
+    this.webhooks = [];
+    this.writes = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.webhooks = JSON.parse(await fs.readFile(this.file, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.webhooks = [];
+    }
+    return this.webhooks;
+  }
+
+  // Writes are chained, so concurrent saves never share the temp file
+  save() {
+    const snapshot = JSON.stringify(this.webhooks, null, 2);
+    this.writes = this.writes
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(`${this.file}.tmp`, snapshot);
+        await fs.rename(`${this.file}.tmp`, this.file);
+      });
+    return this.writes;
+  }
+
+  list() {
+    return this.webhooks;
+  }
+
+  get(id) {
+    return this.webhooks.find((webhook) => webhook.id === id) || null;
+  }
+
+  async add({ url, format = "json", events, name }) {
+    const webhook = {
+      id: createId(),
+      name: name || null,
+      url,
+      format,
+      // null means every change type
+      events: events ? [].concat(events) : null,
+      createdAt: new Date().toISOString(),
+    };
+    this.webhooks.push(webhook);
+    await this.save();
+    return webhook;
+  }
+
+  async remove(id) {
+    const before = this.webhooks.length;
+    this.webhooks = this.webhooks.filter((webhook) => webhook.id !== id);
+    if (this.webhooks.length === before) return false;
+    await this.save();
+    return true;
+  }
+}
+
+class WebhookDispatcher {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.logFile = options.logFile || DEFAULT_DELIVERY_LOG;
+    this.policy = { ...DELIVERY_POLICY, ...options.policy };
+    this.timeout = options.timeout || DELIVERY_TIMEOUT;
+    this.logWrites = Promise.resolve();
+  }
+
+  // Sends every change to every webhook subscribed to its type. Resolves
+  // once all deliveries have succeeded or run out of attempts.
+  async dispatch(changes) {
+    const deliveries = [];
+    changes.forEach((change) => {
+      this.store
+        .list()
+        .filter(
+          (webhook) => !webhook.events || webhook.events.includes(change.type)
+        )
+        .forEach((webhook) => deliveries.push(this.deliver(webhook, change)));
+    });
+    return Promise.all(deliveries);
+  }
+
+  async deliver(webhook, change) {
+    const body = JSON.stringify(buildPayload(webhook, change));
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      let status = null;
+      let error = null;
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "X-Crawler-Event": change.type,
+          },
+          body,
+          signal: AbortSignal.timeout(this.timeout),
+        });
+        status = response.status;
+        if (!response.ok) error = `HTTP ${status}`;
+      } catch (fetchError) {
+        error = fetchError.message;
+      }
+
+      const ok = error === null;
+      const retry =
+        !ok &&
+        attempt < this.policy.maxAttempts &&
+        (status === null || isRetryableStatus(status));
+
+      await this.log({
+        at: new Date().toISOString(),
+        webhookId: webhook.id,
+        webhookUrl: webhook.url,
+        changeId: change.id || null,
+        changeType: change.type,
+        url: change.url,
+        attempt,
+        ok,
+        status,
+        error,
+        durationMs: Date.now() - startedAt,
+        willRetry: retry,
+      });
+
+      if (ok) return { webhookId: webhook.id, ok: true, attempts: attempt };
+      if (!retry) {
+        return { webhookId: webhook.id, ok: false, attempts: attempt, error };
+      }
+      await sleep(backoffDelay(this.policy, attempt));
+    }
+  }
+
+  log(entry) {
+    this.logWrites = this.logWrites
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+        await fs.appendFile(this.logFile, JSON.stringify(entry) + "\n");
+      });
+    return this.logWrites;
+  }
+
+  // Latest delivery attempts first
+  async deliveries({ limit = 100, webhookId } = {}) {
+    let text;
+    try {
+      text = await fs.readFile(this.logFile, "utf-8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((entry) => !webhookId || entry.webhookId === webhookId)
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  DEFAULT_WEBHOOKS_FILE,
+  WEBHOOK_FORMATS,
+  WebhookDispatcher,
+  WebhookStore,
+  validateWebhook,
+};
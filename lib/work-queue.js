@@ -0,0 +1,99 @@
+// Bounded worker pool: at most `concurrency` items are processed at once and
+// the rest wait in a FIFO queue. Results come back in input order, in the
+// same { status, value | reason } shape as Promise.allSettled. Items that
+// never started because the queue was cancelled are left undefined.
+
+class WorkQueue {
+  constructor({ concurrency = 3, worker, onChange } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.worker = worker;
+    this.onChange = onChange || (() => {});
+    this.pending = [];
+    this.active = 0;
+    this.completed = 0;
+    this.total = 0;
+    this.paused = false;
+    this.cancelled = false;
+    this.resumeWaiters = [];
+  }
+
+  get stats() {
+    return {
+      queued: this.pending.length,
+      active: this.active,
+      completed: this.completed,
+      total: this.total,
+      concurrency: this.concurrency,
+      paused: this.paused,
+    };
+  }
+
+  // Workers finish their current item, then wait before taking the next one
+  pause() {
+    this.paused = true;
+    this.onChange(this.stats);
+  }
+
+  resume() {
+    this.paused = false;
+    this.resumeWaiters.splice(0).forEach((resolve) => resolve());
+    this.onChange(this.stats);
+  }
+
+  // Drops everything still queued; items already running are left to the
+  // worker function to abort
+  cancel() {
+    this.cancelled = true;
+    this.pending = [];
+    this.resume();
+  }
+
+  async waitIfPaused() {
+    while (this.paused && !this.cancelled) {
+      await new Promise((resolve) => this.resumeWaiters.push(resolve));
+    }
+  }
+
+  async run(items) {
+    this.pending = items.map((item, index) => ({ item, index }));
+    this.total = items.length;
+    this.completed = 0;
+
+    const results = new Array(items.length);
+
+    const runWorker = async (workerIndex) => {
+      while (this.pending.length > 0) {
+        await this.waitIfPaused();
+        if (this.cancelled || this.pending.length === 0) break;
+
+        const { item, index } = this.pending.shift();
+        this.active++;
+        this.onChange(this.stats);
+
+        try {
+          results[index] = {
+            status: "fulfilled",
+            value: await this.worker(item, index, workerIndex),
+          };
+        } catch (error) {
+          results[index] = { status: "rejected", reason: error };
+        }
+
+        this.active--;
+        this.completed++;
+        this.onChange(this.stats);
+      }
+    };
+
+    const workers = Math.min(this.concurrency, items.length);
+    await Promise.all(
+      Array.from({ length: workers }, (_, workerIndex) => runWorker(workerIndex))
+    );
+
+    return results;
+  }
+}
+
+module.exports = {
+  WorkQueue,
+};
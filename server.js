@@ -1,16 +1,58 @@
 const express = require("express");
 const cors = require("cors");
+const fs = require("fs");
 const path = require("path");
-const puppeteer = require("puppeteer");
-const fs = require("fs").promises;
-
-// For Vercel deployment
-let chromium = null;
-try {
-  chromium = require('chrome-aws-lambda');
-} catch (err) {
-  // chrome-aws-lambda not available in development
-}
+const { FORMATS, getExporter, serialize } = require("./lib/exporters");
+const { TransactionStore } = require("./lib/store");
+const { JobStore } = require("./lib/jobs");
+const {
+  SessionStore,
+  isValidSessionId,
+  querySessionTransactions,
+} = require("./lib/sessions");
+const { parseDate } = require("./lib/normalize");
+const {
+  DEFAULT_PSF_THRESHOLD,
+  describeChange,
+  detectChanges,
+} = require("./lib/changes");
+const {
+  WebhookDispatcher,
+  WebhookStore,
+  validateWebhook,
+} = require("./lib/webhooks");
+const {
+  WatchlistScheduler,
+  WatchlistStore,
+  validateWatchlist,
+} = require("./lib/watchlists");
+const { EventHub } = require("./lib/event-hub");
+const {
+  DEFAULT_IDENTITIES,
+  launchCrawlBrowser,
+  newPage,
+  parseIdentities,
+} = require("./lib/browser");
+const { buildDiscovery, discoverListings } = require("./lib/discover");
+const { FastCrawler } = require("./lib/fast-crawler");
+const { EXTRACTION_MODES } = require("./lib/network-capture");
+const { SnapshotArchive } = require("./lib/snapshots");
+const { ArtifactStore } = require("./lib/artifacts");
+const { findAdapter } = require("./lib/adapters");
+const {
+  DEFAULT_OUTLIER_THRESHOLD,
+  analyzeSources,
+  extractSources,
+} = require("./lib/analytics");
+const { parseSince } = require("./lib/incremental");
+const { summarizeFailures } = require("./lib/errors");
+const { summarizeHealth } = require("./lib/health");
+const { PROFILE_NAMES, summarizeTimings } = require("./lib/profiles");
+const {
+  ROTATION_SCOPES,
+  ProxyPool,
+  parseProxyList,
+} = require("./lib/proxies");
 
 const app = express();
 const PORT = 3001;
@@ -24,447 +66,1021 @@ app.set("views", "./views");
 // Store active crawl sessions
 const activeCrawls = new Map();
 
-// Optimized crawler class for parallel processing
-class FastCrawler {
-  constructor(options = {}) {
-    this.concurrency = options.concurrency || 3;
-    this.headless = options.headless !== false;
-    this.timeout = options.timeout || 30000;
-    this.browsers = [];
-  }
-
-  async initBrowsers() {
-    console.log(`Initializing ${this.concurrency} browser instances...`);
-
-    for (let i = 0; i < this.concurrency; i++) {
-      let browser;
-      
-      if (chromium && process.env.NODE_ENV === 'production') {
-        // Vercel/AWS Lambda environment
-        browser = await puppeteer.launch({
-          args: await chromium.args,
-          defaultViewport: chromium.defaultViewport,
-          executablePath: await chromium.executablePath,
-          headless: chromium.headless,
-        });
-      } else {
-        // Local development
-        browser = await puppeteer.launch({
-          headless: this.headless,
-          args: [
-            "--no-sandbox",
-            "--disable-setuid-sandbox",
-            "--disable-blink-features=AutomationControlled",
-            "--disable-web-security",
-            "--disable-features=VizDisplayCompositor",
-            "--disable-dev-shm-usage",
-            "--no-first-run",
-            "--no-default-browser-check",
-            "--disable-default-apps",
-            "--disable-extensions",
-            "--disable-background-timer-throttling",
-            "--disable-backgrounding-occluded-windows",
-            "--disable-renderer-backgrounding",
-          ],
-        });
-      }
-      
-      this.browsers.push(browser);
-    }
+// Persisted bulk crawl jobs, keyed by the same id as their session
+const jobStore = new JobStore();
+const sessionStore = new SessionStore();
+const artifactStore = new ArtifactStore();
+const webhookStore = new WebhookStore();
+const webhookDispatcher = new WebhookDispatcher(webhookStore);
+const watchlistStore = new WatchlistStore();
+const watchlistScheduler = new WatchlistScheduler(
+  watchlistStore,
+  runWatchlist,
+  {
+    // Covers runs resumed as plain jobs after a restart
+    isBusy: (watchlist) =>
+      jobStore
+        .unfinished()
+        .some((job) => job.options && job.options.watchlistId === watchlist.id),
   }
+);
 
-  async crawlPropertyGuru(url, sessionId, urlIndex, totalUrls) {
-    const browserIndex = urlIndex % this.browsers.length;
-    const browser = this.browsers[browserIndex];
+// Proxies and user agents for crawls that ask for them. The pool is shared by
+// every job, so a proxy retired after a block stays retired across crawls.
+const proxyPool = process.env.CRAWLER_PROXIES_FILE
+  ? new ProxyPool(
+      parseProxyList(
+        fs.readFileSync(process.env.CRAWLER_PROXIES_FILE, "utf-8")
+      )
+    )
+  : null;
+const identities = process.env.CRAWLER_USER_AGENTS_FILE
+  ? parseIdentities(
+      fs.readFileSync(process.env.CRAWLER_USER_AGENTS_FILE, "utf-8")
+    )
+  : DEFAULT_IDENTITIES;
 
-    if (!browser) {
-      throw new Error("Browser not available");
-    }
+// Replayable event streams of running and recently finished sessions
+const sessionEvents = new Map();
+const FINISHED_SESSION_TTL = 15 * 60 * 1000;
 
-    const page = await browser.newPage();
+function publishEvent(sessionId, data) {
+  const events = sessionEvents.get(sessionId);
+  if (events) {
+    events.publish(data);
+  }
+}
+
+const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache",
+  Connection: "keep-alive",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Cache-Control, Last-Event-ID",
+};
 
+// Routes
+app.get("/", (req, res) => {
+  res.render("index", { proxyCount: proxyPool ? proxyPool.size : 0 });
+});
+
+function validateCrawlRequest(body) {
+  const { urls, options = {} } = body || {};
+
+  if (!urls || !Array.isArray(urls) || urls.length === 0) {
+    return "URLs array is required";
+  }
+
+  const unsupported = urls.filter((url) => !findAdapter(String(url).trim()));
+  if (unsupported.length > 0) {
+    return `No site adapter for: ${unsupported.join(", ")}`;
+  }
+
+  if (options.since) {
     try {
-      // Emit progress update
-      this.emitProgress(sessionId, {
-        urlIndex,
-        totalUrls,
-        status: "starting",
-        url,
-        message: "Navigating to page...",
-      });
+      parseSince(options.since);
+    } catch (error) {
+      return error.message;
+    }
+  }
 
-      await page.setUserAgent(
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-      );
+  if (
+    options.psfChangeThreshold !== undefined &&
+    !(Number(options.psfChangeThreshold) >= 0)
+  ) {
+    return "psfChangeThreshold must be a non-negative percentage";
+  }
 
-      await page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, "webdriver", {
-          get: () => false,
-        });
-      });
+  if (
+    options.minFillRate !== undefined &&
+    !(Number(options.minFillRate) >= 0 && Number(options.minFillRate) <= 100)
+  ) {
+    return "minFillRate must be a percentage between 0 and 100";
+  }
 
-      await page.goto(url, {
-        waitUntil: "networkidle2",
-        timeout: this.timeout,
-      });
+  if (
+    options.extraction !== undefined &&
+    !EXTRACTION_MODES.includes(options.extraction)
+  ) {
+    return `extraction must be one of: ${EXTRACTION_MODES.join(", ")}`;
+  }
 
-      this.emitProgress(sessionId, {
-        urlIndex,
-        totalUrls,
-        status: "loading",
-        url,
-        message: "Waiting for content...",
-      });
+  if (
+    options.profile !== undefined &&
+    !PROFILE_NAMES.includes(options.profile)
+  ) {
+    return `profile must be one of: ${PROFILE_NAMES.join(", ")}`;
+  }
 
-      // Scroll and wait for content
-      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-
-      // Check for price history table
-      try {
-        await page.waitForSelector(".price-history-table-root", {
-          timeout: 10000,
-        });
-      } catch (err) {
-        this.emitProgress(sessionId, {
-          urlIndex,
-          totalUrls,
-          status: "error",
-          url,
-          message: "Price history table not found",
-          error: "No price history data available",
-        });
-        return { url, error: "No price history table found", transactions: [] };
-      }
+  if (options.proxies && !proxyPool) {
+    return "No proxy pool configured (set CRAWLER_PROXIES_FILE)";
+  }
 
-      // Remove filters if any
-      await page.evaluate(() => {
-        const removeButtons = document.querySelectorAll(
-          '[da-id="filter-chip-remove-btn"]'
-        );
-        removeButtons.forEach((btn) => btn.click());
-      });
+  if (
+    options.rotation !== undefined &&
+    !ROTATION_SCOPES.includes(options.rotation)
+  ) {
+    return `rotation must be one of: ${ROTATION_SCOPES.join(", ")}`;
+  }
 
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  return null;
+}
 
-      this.emitProgress(sessionId, {
-        urlIndex,
-        totalUrls,
-        status: "scraping",
-        url,
-        message: "Extracting data...",
-      });
+// Compares a finished URL with its last full crawl. Changes are kept on the
+// result, streamed as "change" events and delivered to the webhooks.
+function reportChanges(job, urlIndex, result, previous, events) {
+  if (!result.success || !result.data || !previous) return;
 
-      let allTransactions = [];
-      let currentPage = 1;
-      let hasNextPage = true;
+  const options = job.options || {};
+  const changes = detectChanges(previous.result, result.data, {
+    psfThreshold:
+      options.psfChangeThreshold !== undefined
+        ? Number(options.psfChangeThreshold) / 100
+        : DEFAULT_PSF_THRESHOLD,
+  });
+  if (changes.length === 0) return;
 
-      while (hasNextPage) {
-        // Wait for rows
-        try {
-          await page.waitForSelector(".table-row-collapsed", { timeout: 5000 });
-        } catch (err) {
-          break;
-        }
+  changes.forEach((change, position) => {
+    change.id = `${job.id}-${urlIndex}-${position}`;
+    change.sessionId = job.id;
+    change.previousSessionId = previous.sessionId;
+    events.publish({
+      type: "change",
+      urlIndex,
+      change: { ...change, transactions: undefined },
+      summary: describeChange(change),
+    });
+  });
+  result.changes = changes;
 
-        // Expand all rows
-        await page.evaluate(() => {
-          const collapseIcons = document.querySelectorAll(
-            '[da-id="collapse-icon"]'
-          );
-          collapseIcons.forEach((icon) => {
-            if (
-              icon &&
-              !icon
-                .closest("tr")
-                ?.nextElementSibling?.querySelector(".expanded-content.show")
-            ) {
-              icon.click();
-            }
-          });
-        });
-
-        await new Promise((resolve) => setTimeout(resolve, 800));
-
-        // Extract data
-        const pageData = await page.evaluate(() => {
-          const rows = document.querySelectorAll(".table-row-collapsed");
-          const transactions = [];
-
-          rows.forEach((row) => {
-            const transaction = {};
-
-            // Date
-            const dateCell = row.querySelector('[da-id="row-date"]');
-            if (dateCell) {
-              transaction.date = dateCell
-                .querySelector(".field-value")
-                ?.textContent?.trim();
-            }
-
-            // Bedroom and size
-            const bedroomCell = row.querySelector('[da-id="row-bedroom"]');
-            if (bedroomCell) {
-              transaction.bedrooms = bedroomCell
-                .querySelector(".main-text")
-                ?.textContent?.trim();
-              transaction.size = bedroomCell
-                .querySelector(".sub-text")
-                ?.textContent?.trim();
-            }
-
-            // Price
-            const priceCell = row.querySelector('[da-id="row-price"]');
-            if (priceCell) {
-              transaction.price = priceCell
-                .querySelector(".main-text")
-                ?.textContent?.trim();
-              transaction.pricePerSqft = priceCell
-                .querySelector(".sub-text")
-                ?.textContent?.trim();
-            }
-
-            // Floor level
-            const floorCell = row.querySelector('[da-id="row-floorLevel"]');
-            if (floorCell) {
-              transaction.floorLevel = floorCell
-                .querySelector(".field-value")
-                ?.textContent?.trim();
-            }
-
-            // Build status
-            const completedCell = row.querySelector('[da-id="row-completed"]');
-            if (completedCell) {
-              transaction.buildStatus = completedCell
-                .querySelector(".field-value")
-                ?.textContent?.trim();
-            }
-
-            // Expanded details
-            const expandedRow = row.nextElementSibling;
-            if (
-              expandedRow &&
-              expandedRow.classList.contains("table-row-expanded")
-            ) {
-              const leaseItem = expandedRow.querySelector(
-                '[da-id="expanded-lease"]'
-              );
-              if (leaseItem) {
-                transaction.lease = leaseItem
-                  .querySelector(".expanded-item-value")
-                  ?.textContent?.trim();
-              }
-
-              const addressItem = expandedRow.querySelector(
-                '[da-id="expanded-address"]'
-              );
-              if (addressItem) {
-                const address = addressItem
-                  .querySelector(".expanded-item-value")
-                  ?.textContent?.trim();
-                transaction.address = address;
-
-                if (address) {
-                  const floorMatch = address.match(/#(\d+)-/);
-                  if (floorMatch) {
-                    transaction.floor = floorMatch[1];
-                  }
-                }
-              }
-            }
-
-            transactions.push(transaction);
-          });
-
-          return transactions;
-        });
-
-        allTransactions = allTransactions.concat(pageData);
-
-        this.emitProgress(sessionId, {
-          urlIndex,
-          totalUrls,
-          status: "scraping",
-          url,
-          message: `Scraped page ${currentPage} (${pageData.length} records)`,
-        });
-
-        // Check for next page
-        const nextButtonStatus = await page.evaluate(() => {
-          const nextButton = document.querySelector(
-            '[da-id="hui-pagination-btn-next"]'
-          );
-          if (!nextButton) return { exists: false, enabled: false };
-
-          const parentLi = nextButton.closest("li");
-          const isDisabled =
-            parentLi && parentLi.classList.contains("disabled");
-
-          return { exists: true, enabled: !isDisabled };
-        });
-
-        if (!nextButtonStatus.exists || !nextButtonStatus.enabled) {
-          hasNextPage = false;
-        } else {
-          try {
-            await page.click('[da-id="hui-pagination-btn-next"]');
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-            await page.waitForNetworkIdle({ timeout: 3000 }).catch(() => {});
-            currentPage++;
-          } catch (error) {
-            hasNextPage = false;
-          }
-        }
-      }
+  webhookDispatcher.dispatch(changes).catch((error) => {
+    console.error(`Webhook delivery failed: ${error.message}`);
+  });
+}
 
-      this.emitProgress(sessionId, {
-        urlIndex,
-        totalUrls,
-        status: "completed",
-        url,
-        message: `Completed: ${allTransactions.length} transactions`,
-      });
+// Crawl options take the minimum fill rate as a percentage
+function minFillRateOf(options) {
+  return options.minFillRate !== undefined
+    ? Number(options.minFillRate) / 100
+    : undefined;
+}
 
-      return {
-        url,
-        scrapedAt: new Date().toISOString(),
-        totalTransactions: allTransactions.length,
-        totalPages: currentPage,
-        transactions: allTransactions,
-      };
-    } catch (error) {
-      this.emitProgress(sessionId, {
-        urlIndex,
-        totalUrls,
-        status: "error",
-        url,
-        message: error.message,
-        error: error.message,
+// Runs (or resumes) a job: only URLs that have not completed are crawled, and
+// every URL result is persisted as soon as it is known. `res` is an optional
+// SSE stream to attach as the first viewer.
+
+async function runJob(job, res = null) {
+  const options = job.options || {};
+  const pending = jobStore.pendingIndices(job);
+
+  const store =
+    options.store || options.incremental ? new TransactionStore() : null;
+  const crawler = new FastCrawler({
+    concurrency: options.concurrency || 3,
+    headless: options.headless !== false,
+    timeout: options.timeout || 30000,
+    requestsPerMinute: options.requestsPerMinute,
+    minDelay: options.minDelay,
+    jitter: options.jitter,
+    store,
+    since: options.since,
+    incremental: options.incremental,
+    listing: options.listing,
+    extraction: options.extraction,
+    archive: options.archive ? new SnapshotArchive() : null,
+    artifacts: options.debugArtifacts ? artifactStore : null,
+    minFillRate: minFillRateOf(options),
+    profile: options.profile,
+    proxyPool: options.proxies ? proxyPool : null,
+    identities: options.rotateUserAgents ? identities : null,
+    rotation: options.rotation,
+    onProgress: publishEvent,
+  });
+
+  // A job resumed after a restart already has a stream from while it queued
+  const queued = sessionEvents.get(job.id);
+  const events = queued && !queued.closed ? queued : new EventHub();
+  sessionEvents.set(job.id, events);
+  if (res) {
+    events.attach(res);
+  }
+
+  // Store session
+  const session = {
+    crawler,
+    state: "running",
+    startTime: Date.now(),
+  };
+  activeCrawls.set(job.id, session);
+  events.publish({
+    type: "session",
+    sessionId: job.id,
+    state: session.state,
+  });
+
+  try {
+    await jobStore.setStatus(job, "running", {
+      startedAt: job.startedAt || new Date().toISOString(),
+    });
+
+    if (pending.length > 0) {
+      const pendingUrls = pending.map((index) => job.urls[index]);
+      const previousResults = await sessionStore.latestResults(pendingUrls, {
+        excludeSessionId: job.id,
       });
 
-      return {
-        url,
-        error: error.message,
-        transactions: [],
-      };
-    } finally {
-      await page.close();
+      await crawler.crawlMultipleUrls(pendingUrls, job.id, {
+        indices: pending,
+        totalUrls: job.urls.length,
+        onStart: (index) => jobStore.markUrlRunning(job, index),
+        onResult: (index, result) => {
+          reportChanges(
+            job,
+            index,
+            result,
+            previousResults.get(result.url),
+            events
+          );
+          return jobStore.recordResult(job, index, result);
+        },
+      });
     }
+
+    // Include URLs finished before a restart, not just this run's
+    const results = job.results.filter(Boolean);
+    const failureSummary = summarizeFailures(results);
+    const health = summarizeHealth(results, {
+      minFillRate: minFillRateOf(options),
+    });
+    const timings = summarizeTimings(results);
+    const proxyUsage = crawler.proxySummary();
+    const cancelled = session.state === "cancelling";
+    session.state = "finished";
+
+    // Send final results
+    events.publish({
+      type: "complete",
+      results,
+      failureSummary,
+      health,
+      profile: crawler.profile.name,
+      timings,
+      proxyUsage,
+      cancelled,
+      sessionId: job.id,
+      totalTime: Date.now() - session.startTime,
+    });
+
+    // Save results to file
+    const outputFile = await sessionStore.save({
+      sessionId: job.id,
+      crawledAt: new Date().toISOString(),
+      totalUrls: job.urls.length,
+      status: cancelled ? "cancelled" : "completed",
+      incomplete: cancelled,
+      failureSummary,
+      health,
+      profile: crawler.profile.name,
+      timings,
+      proxyUsage,
+      results,
+    });
+
+    await jobStore.setStatus(job, cancelled ? "cancelled" : "completed", {
+      finishedAt: new Date().toISOString(),
+      outputFile,
+    });
+
+    events.publish({
+      type: "saved",
+      file: outputFile,
+    });
+  } catch (error) {
+    await jobStore.setStatus(job, "failed", {
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+    });
+    events.publish({
+      type: "error",
+      error: error.message,
+    });
+  } finally {
+    if (store) store.close();
+    activeCrawls.delete(job.id);
+
+    // Keep the event log around so late viewers still get the final events
+    events.close();
+    setTimeout(() => {
+      if (sessionEvents.get(job.id) === events) sessionEvents.delete(job.id);
+    }, FINISHED_SESSION_TTL).unref();
+  }
+}
+
+app.post("/crawl", async (req, res) => {
+  const validationError = validateCrawlRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
 
-  emitProgress(sessionId, data) {
+  const { urls, options = {} } = req.body;
+  let job;
+  try {
+    job = await jobStore.create(urls, options);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  // Set up Server-Sent Events. The crawl is a persisted job, so a dropped
+  // stream only detaches this viewer; reattach with GET /crawl/:id/events
+  // and stop it with POST /crawl/:id/cancel
+  res.writeHead(200, SSE_HEADERS);
+
+  runJob(job, res).catch((error) => {
+    console.error(`Job ${job.id} failed: ${error.message}`);
+  });
+});
+
+function cancelSession(sessionId) {
+  const session = activeCrawls.get(sessionId);
+  if (!session || session.state === "cancelling") return;
+
+  session.state = "cancelling";
+  publishEvent(sessionId, { type: "session", sessionId, state: "cancelling" });
+  session.crawler.cancel().catch((error) => {
+    console.error(`Failed to cancel ${sessionId}: ${error.message}`);
+  });
+}
+
+// Pause, resume or cancel a running bulk crawl
+function controlSession(action) {
+  return async (req, res) => {
+    const { sessionId } = req.params;
     const session = activeCrawls.get(sessionId);
-    if (session && session.res) {
-      session.res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+    if (!session || session.state === "finished") {
+      return res.status(404).json({ error: "No running crawl with that id" });
+    }
+    if (session.state === "cancelling") {
+      return res.status(409).json({ error: "Crawl is already cancelling" });
     }
-  }
 
-  async crawlMultipleUrls(urls, sessionId) {
-    await this.initBrowsers();
+    if (action === "cancel") {
+      cancelSession(sessionId);
+    } else {
+      session.crawler[action]();
+      session.state = action === "pause" ? "paused" : "running";
+      publishEvent(sessionId, {
+        type: "session",
+        sessionId,
+        state: session.state,
+      });
 
-    try {
-      const results = await Promise.allSettled(
-        urls.map((url, index) =>
-          this.crawlPropertyGuru(url.trim(), sessionId, index, urls.length)
-        )
-      );
-
-      return results.map((result, index) => ({
-        url: urls[index],
-        success: result.status === "fulfilled",
-        data: result.status === "fulfilled" ? result.value : null,
-        error: result.status === "rejected" ? result.reason.message : null,
-      }));
-    } finally {
-      // Close all browsers
-      await Promise.all(this.browsers.map((browser) => browser.close()));
+      const job = jobStore.get(sessionId);
+      if (job) {
+        try {
+          await jobStore.setStatus(job, session.state);
+        } catch (error) {
+          return res.status(500).json({ error: error.message });
+        }
+      }
     }
-  }
+
+    res.json({ sessionId, state: session.state });
+  };
 }
 
-// Routes
-app.get("/", (req, res) => {
-  res.render("index");
+// Live progress of a session as an EventSource stream. Events are numbered;
+// a reconnecting client sends Last-Event-ID (or ?lastEventId=) and only gets
+// what it missed, and any number of viewers can watch the same crawl.
+app.get("/crawl/:sessionId/events", (req, res) => {
+  const events = sessionEvents.get(req.params.sessionId);
+  if (!events) {
+    return res.status(404).json({ error: "No recent crawl with that id" });
+  }
+
+  const lastEventId =
+    parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10) || 0;
+
+  // Nothing more will come; 204 stops EventSource from reconnecting
+  if (events.closed && lastEventId >= events.lastEventId) {
+    return res.status(204).end();
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+  events.attach(res, lastEventId);
 });
 
-app.post("/crawl", async (req, res) => {
+app.post("/crawl/:sessionId/cancel", controlSession("cancel"));
+app.post("/crawl/:sessionId/pause", controlSession("pause"));
+app.post("/crawl/:sessionId/resume", controlSession("resume"));
+
+// Durable jobs: the same crawl as POST /crawl, without holding a stream open
+app.post("/jobs", async (req, res) => {
+  const validationError = validateCrawlRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
   const { urls, options = {} } = req.body;
+  let job;
+  try {
+    job = await jobStore.create(urls, options);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  runJob(job).catch((error) => {
+    console.error(`Job ${job.id} failed: ${error.message}`);
+  });
 
-  if (!urls || !Array.isArray(urls) || urls.length === 0) {
-    return res.status(400).json({ error: "URLs array is required" });
+  res.status(202).json({ jobId: job.id, status: job.status });
+});
+
+app.get("/jobs", (req, res) => {
+  res.json(jobStore.list().map((job) => jobStore.summarize(job)));
+});
+
+app.get("/jobs/:jobId", (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
   }
 
-  const sessionId = Date.now().toString();
+  res.json({
+    ...jobStore.summarize(job),
+    options: job.options,
+    urls: job.urls,
+    urlStatus: job.urlStatus,
+    results: job.results,
+  });
+});
 
-  // Set up Server-Sent Events
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Cache-Control",
+app.delete("/jobs/:jobId", async (req, res) => {
+  const { jobId } = req.params;
+  if (!jobStore.get(jobId)) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  // A running job is cancelled first; its saved output file is kept
+  cancelSession(jobId);
+  try {
+    await jobStore.delete(jobId);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  res.json({ jobId, deleted: true });
+});
+
+// Collects listing URLs from a PropertyGuru search-results page. With
+// `crawl: true` the discovered URLs are submitted as a job straight away,
+// using `options` as its crawl options.
+app.post("/discover", async (req, res) => {
+  const {
+    searchUrl,
+    maxPages,
+    allListings,
+    crawl,
+    options = {},
+  } = req.body || {};
+
+  if (!searchUrl || !/^https?:\/\//.test(searchUrl)) {
+    return res.status(400).json({ error: "searchUrl is required" });
+  }
+  if (crawl) {
+    const validationError = validateCrawlRequest({
+      urls: [searchUrl],
+      options,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+  }
+
+  let browser;
+  let discovery;
+  try {
+    browser = await launchCrawlBrowser(options.headless !== false);
+    const page = await newPage(browser);
+    const discovered = await discoverListings(page, searchUrl, {
+      maxPages: parseInt(maxPages, 10) || null,
+    });
+    discovery = buildDiscovery(searchUrl, discovered, {
+      dedupe: !allListings,
+    });
+  } catch (error) {
+    return res
+      .status(502)
+      .json({ error: `Discovery failed: ${error.message}` });
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  if (!crawl || discovery.urls.length === 0) {
+    return res.json(discovery);
+  }
+
+  let job;
+  try {
+    job = await jobStore.create(discovery.urls, {
+      ...options,
+      discoveredFrom: searchUrl,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  runJob(job).catch((error) => {
+    console.error(`Job ${job.id} failed: ${error.message}`);
   });
 
-  // Store session
-  activeCrawls.set(sessionId, { res, startTime: Date.now() });
+  res.status(202).json({ jobId: job.id, status: job.status, discovery });
+});
 
-  // Start crawling
-  const crawler = new FastCrawler({
-    concurrency: options.concurrency || 3,
-    headless: options.headless !== false,
-    timeout: options.timeout || 30000,
+// ?format= wins over the Accept header; null when neither JSON nor CSV fits
+function negotiateFormat(req) {
+  if (req.query.format) {
+    const format = req.query.format.toLowerCase();
+    return ["json", "csv"].includes(format) ? format : null;
+  }
+  return req.accepts(["json", "csv"]) || null;
+}
+
+// JSON as is, or CSV flattened to one row per record
+async function sendNegotiated(req, res, payload) {
+  const format = negotiateFormat(req);
+  if (!format) {
+    return res
+      .status(406)
+      .json({ error: "Supported formats: application/json, text/csv" });
+  }
+  if (format === "json") {
+    return res.json(payload);
+  }
+  res.setHeader("Content-Type", getExporter("csv").contentType);
+  res.send(await serialize(payload, "csv"));
+}
+
+// Saved bulk crawl results, newest first
+app.get("/sessions", async (req, res) => {
+  try {
+    await sendNegotiated(req, res, await sessionStore.list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deletes every session crawled before ?before=<date>
+app.delete("/sessions", async (req, res) => {
+  const before = req.query.before ? parseDate(req.query.before) : null;
+  if (!before) {
+    return res
+      .status(400)
+      .json({ error: "Pass ?before=<YYYY-MM-DD> to delete old sessions" });
+  }
+
+  try {
+    const deleted = await sessionStore.removeBefore(before.iso);
+    for (const sessionId of deleted) {
+      await artifactStore.remove(sessionId);
+    }
+    res.json({ deleted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/sessions/:sessionId", async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: "Invalid session id" });
+  }
+
+  try {
+    const session = await sessionStore.read(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Session results not found" });
+    }
+    await sendNegotiated(req, res, session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Flattened transactions of one session. Filters: url, since, until,
+// bedrooms, minPrice, maxPrice; sort=<field>&order=asc|desc; limit, offset.
+// CSV responses carry the page's rows and the total in X-Total-Count.
+app.get("/sessions/:sessionId/transactions", async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: "Invalid session id" });
+  }
+
+  let session;
+  try {
+    session = await sessionStore.read(sessionId);
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!session) {
+    return res.status(404).json({ error: "Session results not found" });
+  }
+
+  let page;
+  try {
+    page = querySessionTransactions(session, req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.setHeader("X-Total-Count", page.total);
+    await sendNegotiated(
+      req,
+      res,
+      negotiateFormat(req) === "csv" ? page.transactions : page
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Debug artifacts of a failed URL (crawled with options.debugArtifacts): the
+// screenshot, page HTML, console and network logs, and artifacts.json
+app.get("/sessions/:sessionId/artifacts/:urlIndex/:file", (req, res) => {
+  const { sessionId, urlIndex, file } = req.params;
+  if (!isValidSessionId(sessionId) || !/^\d+$/.test(urlIndex)) {
+    return res.status(400).json({ error: "Invalid session id or URL index" });
+  }
+
+  const artifactFile = artifactStore.fileFor(sessionId, urlIndex, file);
+  if (!artifactFile) {
+    return res.status(404).json({ error: "Unknown artifact" });
+  }
+
+  // The captured HTML is the crawled site's, not ours: never run its scripts
+  res.setHeader("Content-Security-Policy", "sandbox");
+  res.sendFile(path.resolve(artifactFile), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: "Artifact not found" });
+    }
   });
+});
+
+app.delete("/sessions/:sessionId", async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: "Invalid session id" });
+  }
+  if (activeCrawls.has(sessionId)) {
+    return res.status(409).json({ error: "Session is still running" });
+  }
 
   try {
-    const results = await crawler.crawlMultipleUrls(urls, sessionId);
+    if (!(await sessionStore.remove(sessionId))) {
+      return res.status(404).json({ error: "Session results not found" });
+    }
+    await artifactStore.remove(sessionId);
+    res.json({ deleted: sessionId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Send final results
-    res.write(
-      `data: ${JSON.stringify({
-        type: "complete",
-        results,
-        sessionId,
-        totalTime: Date.now() - activeCrawls.get(sessionId).startTime,
-      })}\n\n`
+app.get("/download/:sessionId", async (req, res) => {
+  const { sessionId } = req.params;
+  const format = (req.query.format || "json").toLowerCase();
+
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: "Invalid session id" });
+  }
+  if (!FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ error: `Format must be one of: ${FORMATS.join(", ")}` });
+  }
+
+  const session = await sessionStore.read(sessionId).catch(() => null);
+  if (!session) {
+    return res.status(404).json({ error: "Session results not found" });
+  }
+
+  try {
+    const exporter = getExporter(format);
+    const body = await serialize(session, format);
+    res.setHeader("Content-Type", exporter.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="propertyguru-bulk-crawl-${sessionId}${exporter.extension}"`
     );
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Save results to file
-    const outputFile = `output/bulk-crawl-${sessionId}.json`;
-    await fs.mkdir("output", { recursive: true });
-    await fs.writeFile(
-      outputFile,
-      JSON.stringify(
+// Transaction statistics for a finished bulk crawl (?sessionId=) or for one
+// listing in the transaction store (?url=). `by` is listing or project and
+// `threshold` the outlier deviation in percent.
+app.get("/analytics", async (req, res) => {
+  const { sessionId, url, by = "listing" } = req.query;
+  const threshold = req.query.threshold
+    ? parseFloat(req.query.threshold) / 100
+    : DEFAULT_OUTLIER_THRESHOLD;
+
+  if (!sessionId === !url) {
+    return res.status(400).json({ error: "Pass either sessionId or url" });
+  }
+  if (sessionId && !isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: "Invalid session id" });
+  }
+  if (isNaN(threshold)) {
+    return res.status(400).json({ error: "threshold must be a number" });
+  }
+
+  let payload;
+  if (sessionId) {
+    payload = await sessionStore.read(sessionId).catch(() => null);
+    if (!payload) {
+      return res.status(404).json({ error: "Session results not found" });
+    }
+  } else {
+    let store;
+    try {
+      store = new TransactionStore();
+      payload = store.queryTransactions({ url });
+    } catch (error) {
+      // better-sqlite3 missing, or the database locked or unreadable
+      return res
+        .status(503)
+        .json({ error: `Transaction store unavailable: ${error.message}` });
+    } finally {
+      if (store) store.close();
+    }
+    if (payload.length === 0) {
+      return res.status(404).json({ error: "No stored transactions for url" });
+    }
+  }
+
+  try {
+    res.json(
+      analyzeSources(extractSources(payload), {
+        by,
+        outlierThreshold: threshold,
+      })
+    );
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Webhooks notified of change events between crawls of the same URL
+app.get("/webhooks", (req, res) => {
+  res.json(webhookStore.list());
+});
+
+app.post("/webhooks", async (req, res) => {
+  const validationError = validateWebhook(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { url, format, events, name } = req.body;
+  try {
+    res.status(201).json(await webhookStore.add({ url, format, events, name }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/webhooks/:webhookId", async (req, res) => {
+  try {
+    if (!(await webhookStore.remove(req.params.webhookId))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ deleted: req.params.webhookId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sends a sample change to one webhook and waits for the outcome
+app.post("/webhooks/:webhookId/test", async (req, res) => {
+  const webhook = webhookStore.get(req.params.webhookId);
+  if (!webhook) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  let delivery;
+  try {
+    delivery = await webhookDispatcher.deliver(webhook, {
+      id: `test-${Date.now()}`,
+      type: "new_transactions",
+      url: "https://www.propertyguru.com.sg/listing/example-12345678",
+      detectedAt: new Date().toISOString(),
+      test: true,
+      count: 1,
+      transactions: [
         {
-          sessionId,
-          crawledAt: new Date().toISOString(),
-          totalUrls: urls.length,
-          results,
+          transactionDate: new Date().toISOString().slice(0, 10),
+          address: "Example Residences #08-12",
+          priceValue: 1250000,
+          sizeSqft: 980,
+          bedroomCount: 2,
         },
-        null,
-        2
-      )
-    );
+      ],
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  res.status(delivery.ok ? 200 : 502).json(delivery);
+});
 
-    res.write(
-      `data: ${JSON.stringify({
-        type: "saved",
-        file: outputFile,
-      })}\n\n`
+// Delivery attempts, newest first (?webhookId=, ?limit=)
+app.get("/webhooks/deliveries", async (req, res) => {
+  try {
+    res.json(
+      await webhookDispatcher.deliveries({
+        webhookId: req.query.webhookId,
+        limit: parseInt(req.query.limit, 10) || 100,
+      })
     );
   } catch (error) {
-    res.write(
-      `data: ${JSON.stringify({
-        type: "error",
-        error: error.message,
-      })}\n\n`
-    );
-  } finally {
-    activeCrawls.delete(sessionId);
-    res.end();
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One watchlist run is a normal job, saved as a session like any bulk crawl
+async function runWatchlist(watchlist, run) {
+  const job = await jobStore.create(watchlist.urls, {
+    ...watchlist.options,
+    watchlistId: watchlist.id,
+  });
+  run.sessionId = job.id;
+  await watchlistStore.save();
+
+  await runJob(job);
+
+  const { counts } = jobStore.summarize(job);
+  return {
+    status: job.status,
+    totalUrls: job.urls.length,
+    succeeded: counts.completed || 0,
+    failed: counts.failed || 0,
+    error: job.error || undefined,
+  };
+}
+
+function describeWatchlist(watchlist, { withRuns = false } = {}) {
+  const { runs, ...fields } = watchlist;
+  const nextRunAt = watchlist.enabled
+    ? watchlistScheduler.nextRunAt(watchlist)
+    : null;
+  const described = {
+    ...fields,
+    running: watchlistScheduler.isRunning(watchlist),
+    nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+    lastRun: runs[0] || null,
+  };
+  if (withRuns) {
+    described.runs = runs;
+  }
+  return described;
+}
+
+function cleanUrls(urls) {
+  return urls.map((url) => String(url).trim()).filter(Boolean);
+}
+
+app.get("/watchlists", (req, res) => {
+  res.json(
+    watchlistStore.list().map((watchlist) => describeWatchlist(watchlist))
+  );
+});
+
+app.post("/watchlists", async (req, res) => {
+  const validationError =
+    validateWatchlist(req.body) || validateCrawlRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { name, urls, schedule, options, enabled } = req.body;
+  let watchlist;
+  try {
+    watchlist = await watchlistStore.create({
+      name,
+      urls: cleanUrls(urls),
+      schedule,
+      options,
+      enabled,
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
   }
+  res.status(201).json(describeWatchlist(watchlist, { withRuns: true }));
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Crawler UI running at http://localhost:${PORT}`);
-  console.log("📊 Ready for bulk PropertyGuru crawling!");
+app.get("/watchlists/:watchlistId", (req, res) => {
+  const watchlist = watchlistStore.get(req.params.watchlistId);
+  if (!watchlist) {
+    return res.status(404).json({ error: "Watchlist not found" });
+  }
+  res.json(describeWatchlist(watchlist, { withRuns: true }));
+});
+
+// Changes any of name, urls, schedule, options and enabled
+app.patch("/watchlists/:watchlistId", async (req, res) => {
+  const watchlist = watchlistStore.get(req.params.watchlistId);
+  if (!watchlist) {
+    return res.status(404).json({ error: "Watchlist not found" });
+  }
+
+  const changes = req.body || {};
+  const validationError =
+    validateWatchlist(changes, { partial: true }) ||
+    validateCrawlRequest({
+      urls: changes.urls || watchlist.urls,
+      options: changes.options || watchlist.options,
+    });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    await watchlistStore.update(watchlist, {
+      ...changes,
+      urls: changes.urls && cleanUrls(changes.urls),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  res.json(describeWatchlist(watchlist, { withRuns: true }));
+});
+
+// A run in progress keeps going; its session is still saved
+app.delete("/watchlists/:watchlistId", async (req, res) => {
+  try {
+    if (!(await watchlistStore.remove(req.params.watchlistId))) {
+      return res.status(404).json({ error: "Watchlist not found" });
+    }
+    res.json({ deleted: req.params.watchlistId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/watchlists/:watchlistId/run", async (req, res) => {
+  const watchlist = watchlistStore.get(req.params.watchlistId);
+  if (!watchlist) {
+    return res.status(404).json({ error: "Watchlist not found" });
+  }
+
+  let run;
+  try {
+    run = await watchlistScheduler.trigger(watchlist, "manual");
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+  if (!run) {
+    return res
+      .status(409)
+      .json({ error: "A run of this watchlist is already in progress" });
+  }
+  res.status(202).json(run);
+});
+
+// Picks up jobs that were queued or running when the server stopped, one at
+// a time, crawling only the URLs they had not finished
+async function resumeUnfinishedJobs() {
+  // Waiting jobs get their event stream now, so viewers can attach before
+  // they start
+  const jobs = jobStore.unfinished();
+  jobs.forEach((job) => {
+    const events = new EventHub();
+    sessionEvents.set(job.id, events);
+    events.publish({ type: "session", sessionId: job.id, state: "queued" });
+  });
+
+  for (const job of jobs) {
+    console.log(
+      `↩️  Resuming job ${job.id} (${jobStore.pendingIndices(job).length} of ${job.urls.length} URLs left)`
+    );
+    await runJob(job).catch((error) => {
+      console.error(`Job ${job.id} failed: ${error.message}`);
+    });
+  }
+}
+
+Promise.all([
+  jobStore.load(),
+  webhookStore.load(),
+  watchlistStore.load(),
+]).then(() => {
+  app.listen(PORT, () => {
+    console.log(`🚀 Crawler UI running at http://localhost:${PORT}`);
+    console.log("📊 Ready for bulk PropertyGuru crawling!");
+  });
+
+  resumeUnfinishedJobs().catch((error) => {
+    console.error("Failed to resume jobs:", error.message);
+  });
+  watchlistScheduler.start();
 });